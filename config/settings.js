@@ -2,11 +2,29 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-// Валідація обов'язкових змінних для Web3 автентифікації
+// Біржа акаунта, на який бот відправляє ордери: asterdex | binance
+// (EXCHANGE - попередня назва змінної)
+const accountExchange = (process.env.ACCOUNT_EXCHANGE || process.env.EXCHANGE || 'asterdex').toLowerCase();
+
+// Обов'язкові змінні для кожної біржі
+const exchangeEnvVars = {
+  asterdex: [
+    'ASTERDEX_USER_ADDRESS',      // ⚠️ ЗМІНЕНО: Main wallet address
+    'ASTERDEX_SIGNER_ADDRESS',    // ⚠️ ЗМІНЕНО: API wallet address
+    'ASTERDEX_PRIVATE_KEY'        // ⚠️ ЗМІНЕНО: Private key API wallet
+  ],
+  binance: [
+    'BINANCE_API_KEY',
+    'BINANCE_API_SECRET'
+  ]
+};
+
+if (!exchangeEnvVars[accountExchange]) {
+  throw new Error(`ACCOUNT_EXCHANGE must be one of: ${Object.keys(exchangeEnvVars).join(', ')}`);
+}
+
 const requiredEnvVars = [
-  'ASTERDEX_USER_ADDRESS',      // ⚠️ ЗМІНЕНО: Main wallet address
-  'ASTERDEX_SIGNER_ADDRESS',    // ⚠️ ЗМІНЕНО: API wallet address
-  'ASTERDEX_PRIVATE_KEY',       // ⚠️ ЗМІНЕНО: Private key API wallet
+  ...exchangeEnvVars[accountExchange],
   'TELEGRAM_BOT_TOKEN',
   'TELEGRAM_CHANNEL_ID'
 ];
@@ -17,17 +35,131 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
+/**
+ * Облікові дані акаунта для його біржі
+ */
+function getAccountCredentials(exchange) {
+  if (exchange === 'binance') {
+    return {
+      apiKey: process.env.BINANCE_API_KEY,
+      apiSecret: process.env.BINANCE_API_SECRET
+    };
+  }
+
+  return {
+    userAddress: process.env.ASTERDEX_USER_ADDRESS,          // Main wallet address
+    signerAddress: process.env.ASTERDEX_SIGNER_ADDRESS,      // API wallet address
+    privateKey: process.env.ASTERDEX_PRIVATE_KEY             // Private key
+  };
+}
+
+/**
+ * Рівні TP з рядка "частка%:профіт%" через кому, напр. "50:0.3,30:0.6"
+ */
+function parseTakeProfitLevels(value) {
+  return value
+    .split(',')
+    .map(level => level.trim())
+    .filter(Boolean)
+    .map(level => {
+      const [sizePercent, profitPercent] = level.split(':').map(part => parseFloat(part));
+      return { sizePercent, profitPercent };
+    });
+}
+
+/**
+ * Групи корельованих символів з рядка "назва:ліміт%:SYM1,SYM2" через крапку з комою,
+ * напр. "L1:150:SOLUSDT,AVAXUSDT;MEME:50:DOGEUSDT"
+ */
+function parseCorrelationGroups(value) {
+  return value
+    .split(';')
+    .map(group => group.trim())
+    .filter(Boolean)
+    .map(group => {
+      const [name, maxNotionalPercent, symbols = ''] = group.split(':');
+      return {
+        name: name.trim(),
+        maxNotionalPercent: parseFloat(maxNotionalPercent),
+        symbols: symbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean)
+      };
+    });
+}
+
+/**
+ * Профілі ризику з JSON: { "symbols": { "TAOUSDT": {...} }, "signalTypes": { "SHORT_SQUEEZE": {...} } }
+ */
+function parseRiskProfiles(value) {
+  let profiles;
+  try {
+    profiles = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`RISK_PROFILES must be valid JSON: ${error.message}`);
+  }
+
+  // Ключі як у сигналах: TAOUSDT, SHORT_SQUEEZE
+  const normalizeKeys = (group = {}) => Object.fromEntries(
+    Object.entries(group).map(([key, profile]) => [key.toUpperCase().replace(/\s+/g, '_'), profile])
+  );
+
+  return {
+    symbols: normalizeKeys(profiles.symbols),
+    signalTypes: normalizeKeys(profiles.signalTypes)
+  };
+}
+
 export const config = {
-  // AsterDex API (Web3 Authentication)
+  // Торговий акаунт: біржа, на яку йдуть ордери, та облікові дані для неї
+  account: {
+    name: process.env.ACCOUNT_NAME || 'main',
+    exchange: accountExchange,
+    credentials: getAccountCredentials(accountExchange)
+  },
+
+  // Загальні налаштування клієнта біржі
+  exchange: {
+    positionMode: (process.env.POSITION_MODE || process.env.ASTERDEX_POSITION_MODE || 'ONE_WAY').toUpperCase(),
+    userStreamEnabled: process.env.USER_STREAM_ENABLED !== 'false',
+    marketStreamEnabled: process.env.MARKET_STREAM_ENABLED !== 'false',
+    priceMaxAgeMs: parseInt(process.env.PRICE_MAX_AGE_MS || '3000'),
+    exchangeInfoTtlMs: parseInt(process.env.EXCHANGE_INFO_TTL_MS || '3600000'),
+    requestTimeoutMs: parseInt(process.env.API_REQUEST_TIMEOUT_MS || '10000'),
+    timeSyncIntervalMs: parseInt(process.env.TIME_SYNC_INTERVAL_MS || '600000'),
+    rateLimit: {
+      weightPerMinute: parseInt(process.env.API_WEIGHT_LIMIT || '2400'),
+      ordersPer10s: parseInt(process.env.API_ORDER_LIMIT_10S || '300'),
+      ordersPerMinute: parseInt(process.env.API_ORDER_LIMIT_1M || '1200'),
+      minRequestIntervalMs: parseInt(process.env.API_MIN_REQUEST_INTERVAL_MS || '100')
+    },
+    retry: {
+      maxAttempts: parseInt(process.env.API_MAX_ATTEMPTS || '4'),
+      baseDelayMs: parseInt(process.env.API_RETRY_BASE_DELAY_MS || '500'),
+      maxDelayMs: parseInt(process.env.API_RETRY_MAX_DELAY_MS || '8000')
+    }
+  },
+
+  // AsterDex API (Web3 Authentication), облікові дані - в account
   asterdex: {
-    userAddress: process.env.ASTERDEX_USER_ADDRESS,          // Main wallet address
-    signerAddress: process.env.ASTERDEX_SIGNER_ADDRESS,      // API wallet address  
-    privateKey: process.env.ASTERDEX_PRIVATE_KEY,            // Private key
     testnet: process.env.ASTERDEX_TESTNET === 'true',
-    positionMode: (process.env.ASTERDEX_POSITION_MODE || 'ONE_WAY').toUpperCase(),
-    baseURL: process.env.ASTERDEX_TESTNET === 'true' 
+    // ASTERDEX_BASE_URL - напр. локальна заглушка (npm run mock)
+    baseURL: process.env.ASTERDEX_BASE_URL || (process.env.ASTERDEX_TESTNET === 'true' 
       ? 'https://testnet-fapi.asterdex.com'
-      : 'https://fapi.asterdex.com'
+      : 'https://fapi.asterdex.com'),
+    wsURL: process.env.ASTERDEX_TESTNET === 'true'
+      ? 'wss://testnet-fstream.asterdex.com'
+      : 'wss://fstream.asterdex.com'
+  },
+
+  // Binance USDⓈ-M Futures API (HMAC Authentication), облікові дані - в account
+  binance: {
+    testnet: process.env.BINANCE_TESTNET === 'true',
+    baseURL: process.env.BINANCE_BASE_URL || (process.env.BINANCE_TESTNET === 'true'
+      ? 'https://testnet.binancefuture.com'
+      : 'https://fapi.binance.com'),
+    wsURL: process.env.BINANCE_TESTNET === 'true'
+      ? 'wss://stream.binancefuture.com'
+      : 'wss://fstream.binance.com',
+    recvWindow: parseInt(process.env.BINANCE_RECV_WINDOW || '5000')
   },
 
   // Telegram
@@ -40,24 +172,115 @@ export const config = {
   risk: {
     percentage: parseFloat(process.env.RISK_PERCENTAGE || '2.5'),
     leverage: parseInt(process.env.LEVERAGE || '20'),
+    marginType: (process.env.MARGIN_TYPE || 'ISOLATED').toUpperCase(),
+    takerFeePercent: parseFloat(process.env.TAKER_FEE_PERCENT || '0.035'),
+    // Мінімальний запас між SL та ціною ліквідації (% від ціни входу)
+    minLiquidationBufferPercent: parseFloat(process.env.MIN_LIQUIDATION_BUFFER_PERCENT || '0.5'),
+    // REDUCE - знизити плече, REJECT - відхилити сигнал
+    liquidationAction: (process.env.LIQUIDATION_ACTION || 'REDUCE').toUpperCase(),
+    // На скільки % кількість (і ризик) може перевищити розрахункову через minQty / minNotional
+    maxUpsizePercent: parseFloat(process.env.RISK_UPSIZE_TOLERANCE_PERCENT || '0'),
     takeProfitPercent: parseFloat(process.env.TAKE_PROFIT_PERCENT || '0.5'),
     stopLossPercent: parseFloat(process.env.STOP_LOSS_PERCENT || '0.3')
   },
 
+  // Профілі ризику: перевизначення config.risk для символів та типів сигналів (RISK_PROFILES, JSON).
+  // Поля: enabled, leverage, percentage, stopLossPercent, takeProfitPercent, marginType.
+  // Пріоритет: символ > тип сигналу > config.risk
+  riskProfiles: parseRiskProfiles(process.env.RISK_PROFILES || '{}'),
+
   // Trading Settings
   trading: {
     allowedSymbols: (process.env.ALLOWED_SYMBOLS || 'ADAUSDT,TAOUSDT,UNIUSDT').split(',').map(s => s.trim()),
     maxDailyTrades: parseInt(process.env.MAX_DAILY_TRADES || '20'),
     maxOpenPositions: parseInt(process.env.MAX_OPEN_POSITIONS || '3'),
+    protectiveOrderRetries: parseInt(process.env.PROTECTIVE_ORDER_RETRIES || '3'),
+    // HEDGE: дозволити LONG і SHORT по одному символу одночасно
+    allowOppositePositions: process.env.ALLOW_OPPOSITE_POSITIONS === 'true',
     dryRun: process.env.DRY_RUN === 'true'
   },
 
+  // Ліміти експозиції портфеля у % від капіталу (доступний баланс + маржа відкритих позицій).
+  // 0 - ліміт вимкнено
+  portfolio: {
+    maxTotalNotionalPercent: parseFloat(process.env.MAX_TOTAL_NOTIONAL_PERCENT || '0'),
+    maxMarginUtilizationPercent: parseFloat(process.env.MAX_MARGIN_UTILIZATION_PERCENT || '0'),
+    // |LONG notional - SHORT notional|
+    maxNetExposurePercent: parseFloat(process.env.MAX_NET_EXPOSURE_PERCENT || '0'),
+    // Ліміт кожної групи - на notional позицій одного напрямку
+    correlationGroups: parseCorrelationGroups(process.env.CORRELATION_GROUPS || '')
+  },
+
+  // SL/TP від волатильності (ATR зі свічок) замість фіксованих відсотків
+  volatility: {
+    enabled: process.env.VOLATILITY_MODE === 'true',
+    interval: process.env.ATR_INTERVAL || '15m',
+    period: parseInt(process.env.ATR_PERIOD || '14'),
+    stopLossMultiplier: parseFloat(process.env.ATR_SL_MULTIPLIER || '1.5'),
+    takeProfitMultiplier: parseFloat(process.env.ATR_TP_MULTIPLIER || '2.5'),
+    // Межі відстаней у % від ціни входу
+    minStopLossPercent: parseFloat(process.env.ATR_SL_MIN_PERCENT || '0.2'),
+    maxStopLossPercent: parseFloat(process.env.ATR_SL_MAX_PERCENT || '2'),
+    minTakeProfitPercent: parseFloat(process.env.ATR_TP_MIN_PERCENT || '0.3'),
+    maxTakeProfitPercent: parseFloat(process.env.ATR_TP_MAX_PERCENT || '4')
+  },
+
+  // Супровід SL відкритих позицій: break-even та trailing stop (% від ціни входу)
+  stopManagement: {
+    breakEvenEnabled: process.env.BREAK_EVEN_ENABLED === 'true',
+    breakEvenTriggerPercent: parseFloat(process.env.BREAK_EVEN_TRIGGER_PERCENT || '0.3'),
+    // Зсув SL за ціну входу, щоб покрити taker комісії входу та виходу
+    breakEvenOffsetPercent: parseFloat(process.env.BREAK_EVEN_OFFSET_PERCENT || '0.07'),
+    trailingEnabled: process.env.TRAILING_STOP_ENABLED === 'true',
+    trailingActivationPercent: parseFloat(process.env.TRAILING_ACTIVATION_PERCENT || '0.5'),
+    // PERCENT - відстань trailingPercent від ціни, ATR - trailingAtrMultiplier x ATR
+    trailingMode: (process.env.TRAILING_MODE || 'PERCENT').toUpperCase(),
+    trailingPercent: parseFloat(process.env.TRAILING_PERCENT || '0.3'),
+    trailingAtrMultiplier: parseFloat(process.env.TRAILING_ATR_MULTIPLIER || '1.5'),
+    // Мінімальний крок переміщення SL (менші зміни не перевиставляють ордер)
+    minStepPercent: parseFloat(process.env.TRAILING_MIN_STEP_PERCENT || '0.05')
+  },
+
+  // Ступінчастий TP: частки позиції закриваються reduce-only TP ордерами на кількох рівнях.
+  // Порожньо - один TP на всю позицію. Сума часток < 100 - залишок (runner) веде SL / trailing stop
+  takeProfitLadder: {
+    levels: parseTakeProfitLevels(process.env.TP_LADDER || '')
+  },
+
+  // Circuit breaker: зупинка нових входів після збитків (0 - ліміт вимкнено)
+  circuitBreaker: {
+    maxDailyLossPercent: parseFloat(process.env.MAX_DAILY_LOSS_PERCENT || '0'),
+    maxDrawdownPercent: parseFloat(process.env.MAX_DRAWDOWN_PERCENT || '0'),
+    maxConsecutiveLosses: parseInt(process.env.MAX_CONSECUTIVE_LOSSES || '0'),
+    // Закрити всі відкриті позиції при спрацюванні
+    flattenOnTrip: process.env.CIRCUIT_BREAKER_FLATTEN === 'true',
+    // Година (UTC) скидання лімітів та початку нового періоду
+    resetHour: parseInt(process.env.CIRCUIT_BREAKER_RESET_HOUR || '0'),
+    checkIntervalMs: parseInt(process.env.CIRCUIT_BREAKER_CHECK_MS || '30000')
+  },
+
   // Trading Hours (UTC)
   tradingHours: {
     enabled: process.env.TRADING_HOURS_ENABLED === 'true',
     startHour: parseInt(process.env.TRADING_START_HOUR || '6'),
     endHour: parseInt(process.env.TRADING_END_HOUR || '22'),
     timezone: process.env.TIMEZONE || 'UTC'
+  },
+
+  // Паперова торгівля (DRY_RUN=true)
+  paper: {
+    startBalance: parseFloat(process.env.PAPER_BALANCE || '1000'),
+    slippagePercent: parseFloat(process.env.PAPER_SLIPPAGE_PERCENT || '0.02'),
+    takerFeePercent: parseFloat(process.env.PAPER_TAKER_FEE_PERCENT || '0.035'),
+    makerFeePercent: parseFloat(process.env.PAPER_MAKER_FEE_PERCENT || '0.01'),
+    tickMs: parseInt(process.env.PAPER_TICK_MS || '1000'),
+    // PAPER_PRICE_FILE - JSON { "SYMBOL": [ціни...] } для відтворення записаних цін
+    priceFile: process.env.PAPER_PRICE_FILE || null
+  },
+
+  // Збереження стану між перезапусками
+  state: {
+    filePath: process.env.STATE_FILE || 'data/state.json'
   }
 };
 
@@ -70,6 +293,55 @@ if (config.risk.leverage <= 0 || config.risk.leverage > 100) {
   throw new Error('LEVERAGE must be between 1 and 100');
 }
 
+if (!['ISOLATED', 'CROSSED'].includes(config.risk.marginType)) {
+  throw new Error('MARGIN_TYPE must be ISOLATED or CROSSED');
+}
+
+if (config.risk.minLiquidationBufferPercent < 0) {
+  throw new Error('MIN_LIQUIDATION_BUFFER_PERCENT must not be negative');
+}
+
+if (!['REDUCE', 'REJECT'].includes(config.risk.liquidationAction)) {
+  throw new Error('LIQUIDATION_ACTION must be REDUCE or REJECT');
+}
+
+if (!(config.risk.maxUpsizePercent >= 0)) {
+  throw new Error('RISK_UPSIZE_TOLERANCE_PERCENT must not be negative');
+}
+
+const RISK_PROFILE_FIELDS = ['enabled', 'leverage', 'percentage', 'stopLossPercent', 'takeProfitPercent', 'marginType'];
+
+for (const [scope, profiles] of Object.entries(config.riskProfiles)) {
+  for (const [name, profile] of Object.entries(profiles)) {
+    const label = `RISK_PROFILES ${scope}.${name}`;
+
+    const unknownField = Object.keys(profile).find(field => !RISK_PROFILE_FIELDS.includes(field));
+    if (unknownField) {
+      throw new Error(`${label}: unknown field ${unknownField} (allowed: ${RISK_PROFILE_FIELDS.join(', ')})`);
+    }
+    if (profile.enabled !== undefined && typeof profile.enabled !== 'boolean') {
+      throw new Error(`${label}: enabled must be true or false`);
+    }
+    if (profile.percentage !== undefined && !(profile.percentage > 0 && profile.percentage <= 100)) {
+      throw new Error(`${label}: percentage must be between 0 and 100`);
+    }
+    if (profile.leverage !== undefined && !(Number.isInteger(profile.leverage) && profile.leverage > 0 && profile.leverage <= 100)) {
+      throw new Error(`${label}: leverage must be an integer between 1 and 100`);
+    }
+    for (const field of ['stopLossPercent', 'takeProfitPercent']) {
+      if (profile[field] !== undefined && !(profile[field] > 0)) {
+        throw new Error(`${label}: ${field} must be greater than 0`);
+      }
+    }
+    if (profile.marginType !== undefined) {
+      profile.marginType = String(profile.marginType).toUpperCase();
+      if (!['ISOLATED', 'CROSSED'].includes(profile.marginType)) {
+        throw new Error(`${label}: marginType must be ISOLATED or CROSSED`);
+      }
+    }
+  }
+}
+
 if (config.trading.maxDailyTrades <= 0) {
   throw new Error('MAX_DAILY_TRADES must be greater than 0');
 }
@@ -78,6 +350,105 @@ if (config.trading.maxOpenPositions <= 0) {
   throw new Error('MAX_OPEN_POSITIONS must be greater than 0');
 }
 
+for (const key of ['maxTotalNotionalPercent', 'maxMarginUtilizationPercent', 'maxNetExposurePercent']) {
+  if (!(config.portfolio[key] >= 0)) {
+    throw new Error('MAX_TOTAL_NOTIONAL_PERCENT, MAX_MARGIN_UTILIZATION_PERCENT and MAX_NET_EXPOSURE_PERCENT must be 0 or greater');
+  }
+}
+
+for (const group of config.portfolio.correlationGroups) {
+  if (!group.name || !(group.maxNotionalPercent > 0) || group.symbols.length === 0) {
+    throw new Error('CORRELATION_GROUPS entries must be "name:maxPercent:SYM1,SYM2", e.g. L1:150:SOLUSDT,AVAXUSDT');
+  }
+}
+
+if (config.exchange.retry.maxAttempts <= 0) {
+  throw new Error('API_MAX_ATTEMPTS must be greater than 0');
+}
+
+if (!['ONE_WAY', 'HEDGE'].includes(config.exchange.positionMode)) {
+  throw new Error('POSITION_MODE must be ONE_WAY or HEDGE');
+}
+
+if (config.trading.allowOppositePositions && config.exchange.positionMode !== 'HEDGE') {
+  throw new Error('ALLOW_OPPOSITE_POSITIONS requires POSITION_MODE=HEDGE');
+}
+
+if (config.trading.protectiveOrderRetries <= 0) {
+  throw new Error('PROTECTIVE_ORDER_RETRIES must be greater than 0');
+}
+
+// ATR_INTERVAL / ATR_PERIOD потрібні і для trailing stop в режимі ATR
+if (config.volatility.enabled || config.stopManagement.trailingMode === 'ATR') {
+  if (!['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d'].includes(config.volatility.interval)) {
+    throw new Error('ATR_INTERVAL must be a kline interval (1m, 5m, 15m, 1h, 4h, 1d...)');
+  }
+
+  if (!(config.volatility.period >= 2)) {
+    throw new Error('ATR_PERIOD must be at least 2');
+  }
+}
+
+if (config.volatility.enabled) {
+  if (config.volatility.stopLossMultiplier <= 0 || config.volatility.takeProfitMultiplier <= 0) {
+    throw new Error('ATR_SL_MULTIPLIER and ATR_TP_MULTIPLIER must be greater than 0');
+  }
+
+  if (config.volatility.minStopLossPercent <= 0 || config.volatility.minStopLossPercent > config.volatility.maxStopLossPercent) {
+    throw new Error('ATR_SL_MIN_PERCENT must be greater than 0 and not exceed ATR_SL_MAX_PERCENT');
+  }
+
+  if (config.volatility.minTakeProfitPercent <= 0 || config.volatility.minTakeProfitPercent > config.volatility.maxTakeProfitPercent) {
+    throw new Error('ATR_TP_MIN_PERCENT must be greater than 0 and not exceed ATR_TP_MAX_PERCENT');
+  }
+}
+
+if (config.stopManagement.breakEvenTriggerPercent <= config.stopManagement.breakEvenOffsetPercent) {
+  throw new Error('BREAK_EVEN_TRIGGER_PERCENT must be greater than BREAK_EVEN_OFFSET_PERCENT');
+}
+
+if (!['PERCENT', 'ATR'].includes(config.stopManagement.trailingMode)) {
+  throw new Error('TRAILING_MODE must be PERCENT or ATR');
+}
+
+if (config.stopManagement.trailingPercent <= 0 || config.stopManagement.trailingAtrMultiplier <= 0) {
+  throw new Error('TRAILING_PERCENT and TRAILING_ATR_MULTIPLIER must be greater than 0');
+}
+
+if (config.takeProfitLadder.levels.length > 0) {
+  const { levels } = config.takeProfitLadder;
+
+  if (levels.some(level => !(level.sizePercent > 0) || !(level.profitPercent > 0))) {
+    throw new Error('TP_LADDER levels must be "size%:profit%" with positive values, e.g. 50:0.3,30:0.6');
+  }
+  if (levels.reduce((sum, level) => sum + level.sizePercent, 0) > 100) {
+    throw new Error('TP_LADDER sizes must not exceed 100% in total');
+  }
+  if (levels.some((level, i) => i > 0 && level.profitPercent <= levels[i - 1].profitPercent)) {
+    throw new Error('TP_LADDER profit levels must be in ascending order');
+  }
+}
+
+if (config.circuitBreaker.maxDailyLossPercent < 0 || config.circuitBreaker.maxDailyLossPercent > 100) {
+  throw new Error('MAX_DAILY_LOSS_PERCENT must be between 0 and 100');
+}
+
+if (config.circuitBreaker.maxDrawdownPercent < 0 || config.circuitBreaker.maxDrawdownPercent > 100) {
+  throw new Error('MAX_DRAWDOWN_PERCENT must be between 0 and 100');
+}
+
+if (config.circuitBreaker.maxConsecutiveLosses < 0) {
+  throw new Error('MAX_CONSECUTIVE_LOSSES must not be negative');
+}
+
+if (config.circuitBreaker.resetHour < 0 || config.circuitBreaker.resetHour > 23) {
+  throw new Error('CIRCUIT_BREAKER_RESET_HOUR must be between 0 and 23');
+}
+
+if (config.paper.startBalance <= 0) {
+  throw new Error('PAPER_BALANCE must be greater than 0');
+}
+
 if (config.tradingHours.startHour < 0 || config.tradingHours.startHour > 23) {
   throw new Error('TRADING_START_HOUR must be between 0 and 23');
 }
@@ -87,16 +458,24 @@ if (config.tradingHours.endHour < 0 || config.tradingHours.endHour > 23) {
 }
 
 // Валідація Ethereum адрес
-if (!config.asterdex.userAddress.startsWith('0x') || config.asterdex.userAddress.length !== 42) {
-  throw new Error('ASTERDEX_USER_ADDRESS must be a valid Ethereum address (0x...)');
-}
+if (config.account.exchange === 'asterdex') {
+  const { userAddress, signerAddress, privateKey } = config.account.credentials;
+
+  if (!userAddress.startsWith('0x') || userAddress.length !== 42) {
+    throw new Error('ASTERDEX_USER_ADDRESS must be a valid Ethereum address (0x...)');
+  }
 
-if (!config.asterdex.signerAddress.startsWith('0x') || config.asterdex.signerAddress.length !== 42) {
-  throw new Error('ASTERDEX_SIGNER_ADDRESS must be a valid Ethereum address (0x...)');
+  if (!signerAddress.startsWith('0x') || signerAddress.length !== 42) {
+    throw new Error('ASTERDEX_SIGNER_ADDRESS must be a valid Ethereum address (0x...)');
+  }
+
+  if (!privateKey.startsWith('0x') || privateKey.length !== 66) {
+    throw new Error('ASTERDEX_PRIVATE_KEY must be a valid Ethereum private key (0x... 64 hex chars)');
+  }
 }
 
-if (!config.asterdex.privateKey.startsWith('0x') || config.asterdex.privateKey.length !== 66) {
-  throw new Error('ASTERDEX_PRIVATE_KEY must be a valid Ethereum private key (0x... 64 hex chars)');
+if (config.account.exchange === 'binance' && config.binance.recvWindow > 60000) {
+  throw new Error('BINANCE_RECV_WINDOW must not exceed 60000');
 }
 
 export default config;
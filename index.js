@@ -7,12 +7,18 @@ if (process.env.NODE_ENV !== 'production') {
 
 import { config } from './config/settings.js';
 import logger from './utils/logger.js';
-import asterdexService from './services/asterdex.service.js';  // ← ЗМІНЕНО
+import exchange, { liveExchange } from './services/exchange.service.js';
 import telegramService from './services/telegram.service.js';
 import positionService from './services/position.service.js';
+import userStreamService from './services/userstream.service.js';
+import marketStreamService from './services/marketstream.service.js';
 import riskService from './services/risk.service.js';
+import volatilityService from './services/volatility.service.js';
+import stateService from './services/state.service.js';
+import circuitBreakerService from './services/circuitbreaker.service.js';
+import { reconcileWithExchange } from './services/reconciliation.service.js';
 import { isTradingHoursActive, getTradingHoursInfo } from './services/time.service.js';
-import { isSymbolAllowed, getCurrentDate } from './utils/helpers.js';
+import { isSymbolAllowed, getCurrentDate, retry, isRetryableError, buildClientOrderId } from './utils/helpers.js';
 
 
 // Статистика
@@ -29,6 +35,28 @@ const statistics = {
   lastResetDate: getCurrentDate()
 };
 
+/**
+ * Записує статистику у сховище стану
+ */
+function saveStatistics() {
+  stateService.set('statistics', statistics);
+}
+
+/**
+ * Скидає щоденні лічильники якщо настав новий день
+ */
+function resetDailyStatisticsIfNeeded() {
+  const currentDate = getCurrentDate();
+
+  if (currentDate !== statistics.lastResetDate) {
+    statistics.dailyTrades = 0;
+    statistics.signalsIgnored = 0;
+    statistics.lastResetDate = currentDate;
+    positionService.resetDailyStatistics();
+    saveStatistics();
+  }
+}
+
 /**
  * Ініціалізація бота
  */
@@ -38,24 +66,79 @@ async function initialize() {
     logger.info('Starting AsterDex Futures Trading Bot...');  // ← ЗМІНЕНО
     logger.info('='.repeat(50));
 
-    // Підключення до AsterDex  // ← ЗМІНЕНО
-    await asterdexService.connect();
+    // Відновлюємо стан після перезапуску
+    stateService.load();
+    positionService.initialize();
+
+    const savedStatistics = stateService.get('statistics');
+    if (savedStatistics) {
+      Object.assign(statistics, savedStatistics);
+      logger.info(`[INIT] Restored statistics: ${statistics.dailyTrades} trades today, ${statistics.totalTrades} total`);
+    }
+    resetDailyStatisticsIfNeeded();
+
+    // Підключення до біржі (AsterDex або паперова в DRY_RUN)
+    await exchange.connect();
     
-    // Отримуємо початковий баланс
-    statistics.startBalance = await asterdexService.getUSDTBalance();  // ← ЗМІНЕНО
-    statistics.currentBalance = statistics.startBalance;
+    // Режим позицій акаунта має збігатися з конфігурацією
+    await verifyPositionMode();
+    
+    // Отримуємо початковий баланс (після перезапуску зберігаємо попередній стартовий)
+    statistics.currentBalance = await exchange.getUSDTBalance();  // ← ЗМІНЕНО
+    if (!savedStatistics || !statistics.startBalance) {
+      statistics.startBalance = statistics.currentBalance;
+    }
+    saveStatistics();
     
     logger.info(`[INIT] Starting balance: ${statistics.startBalance} USDT`);
+    logger.info(`[INIT] Account: ${config.account.name}, exchange: ${liveExchange.name} (${liveExchange.getStatus().network})`);
+    logger.info(`[INIT] Server clock offset: ${exchange.getStatus().timeOffset}ms`);
     logger.info(`[INIT] Dry Run mode: ${config.trading.dryRun ? 'ENABLED' : 'DISABLED'}`);
     logger.info(`[INIT] Allowed symbols: ${config.trading.allowedSymbols.join(', ')}`);
-    logger.info(`[INIT] Risk: ${config.risk.percentage}%, Leverage: ${config.risk.leverage}x`);
+    logger.info(`[INIT] Risk: ${config.risk.percentage}%, Leverage: ${config.risk.leverage}x, Margin: ${config.risk.marginType}`);
+    logger.info(`[INIT] SL/TP: ${config.volatility.enabled
+      ? `ATR(${config.volatility.period}, ${config.volatility.interval}) x${config.volatility.stopLossMultiplier} / x${config.volatility.takeProfitMultiplier}`
+      : `fixed ${config.risk.stopLossPercent}% / ${config.risk.takeProfitPercent}%`}`);
+    const profileKeys = [...Object.keys(config.riskProfiles.symbols), ...Object.keys(config.riskProfiles.signalTypes)];
+    if (profileKeys.length > 0) {
+      logger.info(`[INIT] Risk profiles: ${profileKeys.join(', ')}`);
+    }
+    logger.info(`[INIT] Portfolio limits (% of capital, 0 = off): notional ${config.portfolio.maxTotalNotionalPercent}, margin ${config.portfolio.maxMarginUtilizationPercent}, net ${config.portfolio.maxNetExposurePercent}${config.portfolio.correlationGroups.map(group => `, ${group.name} ${group.maxNotionalPercent}`).join('')}`);
+    if (config.takeProfitLadder.levels.length > 0) {
+      logger.info(`[INIT] TP ladder: ${config.takeProfitLadder.levels.map(level => `${level.sizePercent}% @ +${level.profitPercent}%`).join(', ')}`);
+    }
+    logger.info(`[INIT] Stop management: break-even ${config.stopManagement.breakEvenEnabled ? `at +${config.stopManagement.breakEvenTriggerPercent}%` : 'OFF'}, trailing ${config.stopManagement.trailingEnabled ? `${config.stopManagement.trailingMode} from +${config.stopManagement.trailingActivationPercent}%` : 'OFF'}`);
     logger.info(`[INIT] Trading hours: ${config.tradingHours.startHour}:00-${config.tradingHours.endHour}:00 UTC`);
 
+    // Запускаємо market-data stream (кеш цін для дозволених символів та відкритих позицій)
+    if (config.exchange.marketStreamEnabled) {
+      const streamSymbols = new Set([
+        ...config.trading.allowedSymbols,
+        ...positionService.getAllOpenPositions().map(p => p.symbol)
+      ]);
+      marketStreamService.start(Array.from(streamSymbols));
+    }
+
+    // Circuit breaker: ліміти збитків періоду. Слухає закриття ще до звірки -
+    // стоп-аути під час простою потрапляють у відновлений період
+    circuitBreakerService.start();
+
+    // Звіряємо стан з біржею ДО прийому сигналів
+    await reconcileWithExchange();
+
+    // Новий період - від балансу після звірки (закриття під час простою вже в ньому)
+    await circuitBreakerService.ensurePeriod();
+
     // Реєструємо обробник сигналів
     telegramService.onSignal(handleSignal);
 
+    // Запускаємо user-data stream (виконання ордерів в реальному часі)
+    if (config.exchange.userStreamEnabled && !config.trading.dryRun) {
+      await userStreamService.start();
+    }
+
     // Запускаємо моніторинг позицій
-    positionService.startMonitoring(30000); // Перевірка кожні 30 секунд
+    positionService.startMonitoring(30000); // Fallback polling кожні 30 секунд
 
     // Відправляємо повідомлення про запуск
     if (!config.trading.dryRun) {
@@ -63,7 +146,9 @@ async function initialize() {
         config.telegram.channelId,
         `🤖 <b>TRADING BOT STARTED</b>\n\n` +
         `Balance: ${statistics.startBalance.toFixed(2)} USDT\n` +
+        `Exchange: ${liveExchange.name}\n` +
         `Mode: ${config.trading.dryRun ? 'DRY RUN' : 'LIVE TRADING'}\n` +
+        `Clock offset: ${exchange.getStatus().timeOffset}ms\n` +
         `Trading hours: ${config.tradingHours.startHour}:00-${config.tradingHours.endHour}:00 UTC`
       );
     }
@@ -85,6 +170,7 @@ async function initialize() {
 async function handleSignal(signal) {
   try {
     statistics.totalSignals++;
+    saveStatistics();
     
     const { symbol, direction, timestamp } = signal;
     
@@ -94,24 +180,16 @@ async function handleSignal(signal) {
     const validation = await validateSignal(signal);
     
     if (!validation.valid) {
-      logger.warn(`[SIGNAL] Validation failed: ${validation.reason}`);
-      
-      if (!config.trading.dryRun) {
-        await telegramService.sendMessage(
-          config.telegram.channelId,
-          telegramService.formatSignalIgnoredMessage(symbol, direction, validation.reason, validation.info)
-        );
-      }
-      
-      if (validation.reason.includes('trading hours')) {
-        statistics.signalsIgnored++;
-      }
-      
+      await reportIgnoredSignal(signal, validation);
       return;
     }
 
-    // Відкриваємо позицію
-    await openPosition(signal);
+    // Відкриваємо позицію (ліміти портфеля перевіряються після розрахунку розміру)
+    const result = await openPosition(signal);
+
+    if (!result.valid) {
+      await reportIgnoredSignal(signal, result);
+    }
     
   } catch (error) {
     logger.error(`[SIGNAL] Error handling signal: ${error.message}`);
@@ -128,6 +206,39 @@ async function handleSignal(signal) {
   }
 }
 
+/**
+ * Повідомляє про відхилений сигнал
+ */
+async function reportIgnoredSignal(signal, validation) {
+  logger.warn(`[SIGNAL] Validation failed: ${validation.reason}`);
+
+  if (!config.trading.dryRun) {
+    await telegramService.sendMessage(
+      config.telegram.channelId,
+      telegramService.formatSignalIgnoredMessage(signal.symbol, signal.direction, validation.reason, validation.info)
+    );
+  }
+
+  if (validation.reason.includes('trading hours')) {
+    statistics.signalsIgnored++;
+    saveStatistics();
+  }
+}
+
+/**
+ * Перевіряє, що режим позицій акаунта (dual side) збігається з POSITION_MODE
+ */
+async function verifyPositionMode() {
+  const dualSide = await exchange.getDualSidePosition();
+  const accountMode = dualSide ? 'HEDGE' : 'ONE_WAY';
+
+  if (accountMode !== config.exchange.positionMode) {
+    throw new Error(`Account position mode is ${accountMode}, but POSITION_MODE=${config.exchange.positionMode}. Change the account setting or POSITION_MODE`);
+  }
+
+  logger.info(`[INIT] Position mode: ${accountMode}${config.trading.allowOppositePositions ? ' (opposite positions allowed)' : ''}`);
+}
+
 /**
  * Валідація сигналу перед відкриттям позиції
  */
@@ -152,7 +263,27 @@ async function validateSignal(signal) {
     };
   }
 
-  // 3. Перевірка торговельних годин
+  // 3. Профіль ризику символу / типу сигналу може вимикати торгівлю
+  const profile = riskService.resolveRiskProfile(symbol, signal.signalType);
+  if (!profile.enabled) {
+    return {
+      valid: false,
+      reason: `Trading disabled by risk profile (${profile.name})`,
+      info: {}
+    };
+  }
+
+  // 4. Circuit breaker (ліміти денного збитку, просадки, збиткових угод поспіль)
+  const trip = await circuitBreakerService.check();
+  if (trip) {
+    return {
+      valid: false,
+      reason: `Circuit breaker: ${trip.description}`,
+      info: {}
+    };
+  }
+
+  // 5. Перевірка торговельних годин
   if (!isTradingHoursActive()) {
     const hoursInfo = getTradingHoursInfo();
     return {
@@ -166,16 +297,20 @@ async function validateSignal(signal) {
     };
   }
 
-  // 4. Перевірка відкритих позицій
-  if (positionService.hasOpenPosition(symbol)) {
+  // 6. Перевірка відкритих позицій
+  // (в HEDGE з ALLOW_OPPOSITE_POSITIONS блокує лише позиція того ж боку)
+  const sameSideOnly = config.trading.allowOppositePositions;
+  if (positionService.hasOpenPosition(symbol, sameSideOnly ? exchange.getPositionSide(direction) : null)) {
     return {
       valid: false,
-      reason: `Open position already exists for ${symbol}`,
+      reason: sameSideOnly
+        ? `Open ${direction} position already exists for ${symbol}`
+        : `Open position already exists for ${symbol}`,
       info: {}
     };
   }
 
-  // 5. Перевірка максимальної кількості відкритих позицій
+  // 7. Перевірка максимальної кількості відкритих позицій
   if (positionService.getOpenPositionsCount() >= config.trading.maxOpenPositions) {
     return {
       valid: false,
@@ -184,7 +319,7 @@ async function validateSignal(signal) {
     };
   }
 
-  // 6. Перевірка максимальної кількості угод на день
+  // 8. Перевірка максимальної кількості угод на день
   if (statistics.dailyTrades >= config.trading.maxDailyTrades) {
     return {
       valid: false,
@@ -193,9 +328,9 @@ async function validateSignal(signal) {
     };
   }
 
-  // 7. Перевірка балансу
+  // 9. Перевірка балансу
   try {
-    const balance = await asterdexService.getUSDTBalance();  // ← ЗМІНЕНО
+    const balance = await exchange.getUSDTBalance();  // ← ЗМІНЕНО
     statistics.currentBalance = balance;
     
     if (balance <= 0) {
@@ -213,9 +348,9 @@ async function validateSignal(signal) {
     };
   }
 
-  // 8. Перевірка що символ існує та торгується
+  // 10. Перевірка що символ існує та торгується
   try {
-    const symbolInfo = await asterdexService.getSymbolInfo(symbol);  // ← ЗМІНЕНО
+    const symbolInfo = await exchange.getSymbolInfo(symbol);  // ← ЗМІНЕНО
     if (symbolInfo.status !== 'TRADING') {
       return {
         valid: false,
@@ -235,7 +370,8 @@ async function validateSignal(signal) {
 }
 
 /**
- * Відкриття позиції
+ * Відкриття позиції.
+ * Повертає { valid: false, reason, info }, якщо позиція перевищує ліміти портфеля
  */
 async function openPosition(signal) {
   const { symbol, direction, timestamp } = signal;
@@ -244,21 +380,35 @@ async function openPosition(signal) {
     logger.info(`[TRADE] Opening position: ${symbol} ${direction}`);
 
     // Отримуємо поточний баланс
-    const balance = await asterdexService.getUSDTBalance();  // ← ЗМІНЕНО
+    const balance = await exchange.getUSDTBalance();  // ← ЗМІНЕНО
     statistics.currentBalance = balance;
 
     // Отримуємо поточну ціну
-    const currentPrice = await asterdexService.getCurrentPrice(symbol);  // ← ЗМІНЕНО
+    const currentPrice = await exchange.getCurrentPrice(symbol);  // ← ЗМІНЕНО
     
     // Отримуємо інформацію про символ
-    const symbolInfo = await asterdexService.getSymbolInfo(symbol);  // ← ЗМІНЕНО
+    const symbolInfo = await exchange.getSymbolInfo(symbol);  // ← ЗМІНЕНО
+
+    // Leverage brackets обмежують розмір позиції для обраного плеча
+    const leverageBrackets = await exchange.getLeverageBrackets(symbol);
+
+    // Плече, ризик, SL/TP та тип маржі з урахуванням профілів символу та типу сигналу
+    const profile = riskService.resolveRiskProfile(symbol, signal.signalType);
+
+    // ATR для SL/TP від волатильності (null - фіксовані відсотки)
+    const atr = profile.useAtr
+      ? await volatilityService.getATR(symbol)
+      : null;
 
     // Розраховуємо параметри позиції
     const positionParams = riskService.calculatePositionParameters(
       balance,
       currentPrice,
       direction,
-      symbolInfo
+      symbolInfo,
+      leverageBrackets,
+      atr,
+      profile
     );
 
     // Перевірка достатності балансу
@@ -266,69 +416,58 @@ async function openPosition(signal) {
       throw new Error(`Insufficient balance. Required: ${positionParams.requiredMargin} USDT, Available: ${balance} USDT`);
     }
 
-    if (config.trading.dryRun) {
-      // DRY RUN режим - тільки логування
-      logger.info('[DRY RUN] Would open position:');
-      logger.info(`  Symbol: ${symbol}`);
-      logger.info(`  Direction: ${direction}`);
-      logger.info(`  Entry Price: ${positionParams.entryPrice}`);
-      logger.info(`  Quantity: ${positionParams.quantity}`);
-      logger.info(`  Take Profit: ${positionParams.takeProfit}`);
-      logger.info(`  Stop Loss: ${positionParams.stopLoss}`);
-      logger.info(`  Required Margin: ${positionParams.requiredMargin} USDT`);
-      
-      // Симулюємо успішне відкриття
-      positionService.addOpenPosition({
-        symbol,
-        direction,
-        entryPrice: positionParams.entryPrice,
-        quantity: positionParams.quantity,
-        takeProfit: positionParams.takeProfit,
-        stopLoss: positionParams.stopLoss,
-        orderId: 'DRY_RUN_' + Date.now(),
-        timestamp,
-        tpOrderId: 'DRY_RUN_TP',
-        slOrderId: 'DRY_RUN_SL'
-      });
-
-      statistics.totalTrades++;
-      statistics.dailyTrades++;
-      
-      return;
+    // Ліміти експозиції портфеля з урахуванням нової позиції
+    const portfolioCheck = riskService.checkPortfolioLimits(
+      { symbol, direction, notional: positionParams.positionSize, margin: positionParams.requiredMargin },
+      positionService.getOpenExposures(),
+      balance
+    );
+    if (!portfolioCheck.valid) {
+      return portfolioCheck;
     }
 
-    // Реальна торгівля
-    // 1. Встановлюємо плече
-    await asterdexService.setLeverage(symbol, config.risk.leverage);  // ← ЗМІНЕНО
+    // 1. Встановлюємо тип маржі та плече
+    await exchange.setMarginType(symbol, profile.marginType);
+    await exchange.setLeverage(symbol, positionParams.leverage);  // ← ЗМІНЕНО
 
     // 2. Відкриваємо Market ордер (комісія 0.035%)
-    const side = asterdexService.getOrderSide(direction);  // ← ЗМІНЕНО
-    const positionSide = asterdexService.getPositionSide(direction);  // ← ЗМІНЕНО
+    const side = exchange.getOrderSide(direction);  // ← ЗМІНЕНО
+    const positionSide = exchange.getPositionSide(direction);  // ← ЗМІНЕНО
+
+    // Ключ сигналу для детермінованих clientOrderId (повтори не створюють дублікатів)
+    const orderKey = [symbol, direction, timestamp];
+    const openedAt = Date.now();
     
-    const orderResult = await asterdexService.openMarketOrder(  // ← ЗМІНЕНО
+    const orderResult = await exchange.openMarketOrder(  // ← ЗМІНЕНО
       symbol,
       side,
-      positionParams.quantity,
-      positionSide
+      positionParams.order.quantity,
+      positionSide,
+      buildClientOrderId('E', ...orderKey)
     );
 
-    // 3. Встановлюємо Take Profit LIMIT (комісія 0.01% - економія 7x!)
-    const tpResult = await asterdexService.setTakeProfit(  // ← ЗМІНЕНО
-      symbol,
-      side,
-      positionParams.takeProfit,
-      positionParams.quantity,
-      positionSide
-    );
+    // 3-4. Встановлюємо TP/SL. Якщо не вдалось - закриваємо позицію
+    let protectiveOrders;
+    try {
+      protectiveOrders = await placeProtectiveOrders(symbol, side, positionParams, positionSide, orderKey);
+    } catch (error) {
+      await rollbackEntry({
+        symbol,
+        direction,
+        side,
+        positionSide,
+        quantity: positionParams.order.quantity,
+        orderKey,
+        orderResult,
+        tpResults: error.tpResults,
+        slResult: error.slResult,
+        error
+      });
+      throw new Error(`Protective orders failed, entry rolled back: ${error.message}`);
+    }
 
-    // 4. Встановлюємо Stop Loss LIMIT (комісія 0.01% - економія 7x!)
-    const slResult = await asterdexService.setStopLoss(  // ← ЗМІНЕНО
-      symbol,
-      side,
-      positionParams.stopLoss,
-      positionParams.quantity,
-      positionSide
-    );
+    const { tpResults, slResult } = protectiveOrders;
+    const ladder = positionParams.takeProfits || [];
 
     // 5. Додаємо позицію до моніторингу
     positionService.addOpenPosition({
@@ -336,29 +475,36 @@ async function openPosition(signal) {
       direction,
       entryPrice: orderResult.avgPrice || positionParams.entryPrice,
       quantity: positionParams.quantity,
+      leverage: positionParams.leverage,
       takeProfit: positionParams.takeProfit,
       stopLoss: positionParams.stopLoss,
       orderId: orderResult.orderId,
       timestamp,
-      tpOrderId: tpResult.orderId,
+      openedAt,
+      tpOrderId: ladder.length > 0 ? null : tpResults[0].orderId,
+      takeProfits: ladder.map((level, i) => ({ ...level, orderId: tpResults[i].orderId, status: 'NEW' })),
       slOrderId: slResult.orderId
     });
 
     // 6. Оновлюємо статистику
     statistics.totalTrades++;
     statistics.dailyTrades++;
+    saveStatistics();
 
     // 7. Відправляємо повідомлення в Telegram
-    await telegramService.sendMessage(
-      config.telegram.channelId,
-      telegramService.formatPositionOpenedMessage({
-        ...positionParams,
-        balance,
-        timestamp
-      })
-    );
+    if (!config.trading.dryRun) {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatPositionOpenedMessage({
+          ...positionParams,
+          balance,
+          timestamp
+        })
+      );
+    }
 
     logger.info(`[TRADE] ✅ Position opened successfully: ${symbol} ${direction}`);
+    return { valid: true };
 
   } catch (error) {
     logger.error(`[TRADE] Error opening position: ${error.message}`);
@@ -366,6 +512,117 @@ async function openPosition(signal) {
   }
 }
 
+/**
+ * Встановлює TP (один або рівні ступінчастого TP) та SL з повторними спробами.
+ * При помилці до неї додаються вже розміщені ордери (tpResults/slResult)
+ */
+async function placeProtectiveOrders(symbol, side, positionParams, positionSide, orderKey) {
+  const attempts = config.trading.protectiveOrderRetries;
+  const tpResults = [];
+  let slResult = null;
+
+  const takeProfits = positionParams.order.takeProfits
+    || [{ price: positionParams.order.takeProfit, quantity: positionParams.order.quantity }];
+
+  try {
+    // Take Profit LIMIT (комісія 0.01% - економія 7x!)
+    for (const tp of takeProfits) {
+      tpResults.push(await retry(() => exchange.setTakeProfit(
+        symbol,
+        side,
+        tp.price,
+        tp.quantity,
+        positionSide,
+        tp.level ? buildClientOrderId('TP', ...orderKey, tp.level) : buildClientOrderId('TP', ...orderKey)
+      ), attempts, { shouldRetry: isRetryableError }));
+    }
+
+    // Stop Loss LIMIT (комісія 0.01% - економія 7x!)
+    slResult = await retry(() => exchange.setStopLoss(
+      symbol,
+      side,
+      positionParams.order.stopLoss,
+      positionParams.order.quantity,
+      positionSide,
+      buildClientOrderId('SL', ...orderKey)
+    ), attempts, { shouldRetry: isRetryableError });
+
+    return { tpResults, slResult };
+  } catch (error) {
+    error.tpResults = tpResults;
+    error.slResult = slResult;
+    throw error;
+  }
+}
+
+/**
+ * Відкат входу: скасовує розміщені TP/SL та закриває позицію reduce-only market ордером
+ */
+async function rollbackEntry(context) {
+  const { symbol, direction, side, positionSide, quantity, orderKey, orderResult, tpResults = [], slResult, error } = context;
+
+  logger.error(`[TRADE] Rolling back ${symbol} ${direction}: ${error.message}`);
+
+  const cancelled = [];
+  for (const leg of [...tpResults, slResult]) {
+    if (!leg?.orderId) continue;
+
+    try {
+      await exchange.cancelOrder(symbol, leg.orderId);
+      cancelled.push(`${leg.type} #${leg.orderId}`);
+    } catch (cancelError) {
+      logger.error(`[TRADE] Rollback: failed to cancel ${leg.type} ${leg.orderId}: ${cancelError.message}`);
+    }
+  }
+
+  let closeResult = null;
+  let closeError = null;
+  try {
+    closeResult = await retry(
+      () => exchange.closePositionMarket(symbol, side, quantity, positionSide, buildClientOrderId('C', ...orderKey)),
+      config.trading.protectiveOrderRetries,
+      { shouldRetry: isRetryableError }
+    );
+  } catch (err) {
+    closeError = err;
+    logger.error(`[TRADE] Rollback: failed to close ${symbol}: ${err.message}`);
+
+    // Позиція залишилась без захисту - відстежуємо її як ручну
+    positionService.addOpenPosition({
+      symbol,
+      direction,
+      entryPrice: orderResult.avgPrice,
+      quantity: parseFloat(quantity),
+      takeProfit: null,
+      stopLoss: null,
+      orderId: orderResult.orderId,
+      source: 'MANUAL'
+    });
+  }
+
+  if (config.trading.dryRun) {
+    return;
+  }
+
+  await telegramService.sendMessage(
+    config.telegram.channelId,
+    telegramService.formatEntryRollbackMessage({
+      symbol,
+      direction,
+      quantity,
+      entryPrice: orderResult.avgPrice,
+      entryOrderId: orderResult.orderId,
+      reason: error.message,
+      tpOrderIds: tpResults.map(result => result.orderId),
+      slOrderId: slResult?.orderId,
+      cancelled,
+      closeOrderId: closeResult?.orderId,
+      closePrice: closeResult?.avgPrice,
+      closeError: closeError?.message
+    })
+  );
+}
+
 /**
  * Планує щоденний звіт
  */
@@ -398,15 +655,10 @@ async function sendDailyReport() {
     const currentDate = getCurrentDate();
     
     // Скидаємо щоденну статистику якщо новий день
-    if (currentDate !== statistics.lastResetDate) {
-      statistics.dailyTrades = 0;
-      statistics.signalsIgnored = 0;
-      statistics.lastResetDate = currentDate;
-      positionService.resetDailyStatistics();
-    }
+    resetDailyStatisticsIfNeeded();
 
     const posStats = positionService.getStatistics();
-    const currentBalance = await asterdexService.getUSDTBalance();  // ← ЗМІНЕНО
+    const currentBalance = await exchange.getUSDTBalance();  // ← ЗМІНЕНО
     const startBalance = statistics.startBalance;
     const totalPnl = currentBalance - startBalance;
     const roi = startBalance > 0 ? (totalPnl / startBalance) * 100 : 0;
@@ -423,6 +675,12 @@ async function sendDailyReport() {
       winTrades: posStats.winTrades,
       loseTrades: posStats.loseTrades,
       totalPnl: totalPnl,
+      grossPnl: posStats.grossPnl,
+      totalFees: posStats.totalFees,
+      totalFunding: posStats.totalFunding,
+      tradesPnl: posStats.totalPnl,
+      partialCloses: posStats.partialCloses,
+      partialPnl: posStats.partialPnl,
       roi: roi,
       startBalance: startBalance,
       currentBalance: currentBalance
@@ -448,6 +706,10 @@ process.on('SIGINT', async () => {
   logger.info('\n[SHUTDOWN] Received SIGINT, shutting down gracefully...');
   
   positionService.stopMonitoring();
+  circuitBreakerService.stop();
+  await userStreamService.stop();
+  marketStreamService.stop();
+  await exchange.disconnect();
   
   if (!config.trading.dryRun) {
     await telegramService.sendMessage(
@@ -465,6 +727,10 @@ process.on('SIGTERM', async () => {
   logger.info('\n[SHUTDOWN] Received SIGTERM, shutting down gracefully...');
   
   positionService.stopMonitoring();
+  circuitBreakerService.stop();
+  await userStreamService.stop();
+  marketStreamService.stop();
+  await exchange.disconnect();
   process.exit(0);
 });
 
@@ -1,18 +1,20 @@
 import dotenv from 'dotenv';
-import asterdexService from '../services/asterdex.service.js';  // ← ЗМІНЕНО
+import { liveExchange } from '../services/exchange.service.js';
 import logger from '../utils/logger.js';
 
 dotenv.config();
 
 async function checkBalance() {
   try {
-    logger.info('Checking AsterDex balance...');  // ← ЗМІНЕНО
+    logger.info(`Checking ${liveExchange.name} balance...`);
     
-    await asterdexService.connect();  // ← ЗМІНЕНО
-    const balance = await asterdexService.getUSDTBalance();  // ← ЗМІНЕНО
+    await liveExchange.connect();  // ← ЗМІНЕНО
+    const balance = await liveExchange.getUSDTBalance();  // ← ЗМІНЕНО
+    const status = liveExchange.getStatus();
     
     console.log('\n' + '='.repeat(50));
     console.log(`💰 USDT Balance: ${balance.toFixed(2)} USDT`);
+    console.log(`🕒 Clock offset: ${status.timeOffset}ms (${status.network})`);
     console.log('='.repeat(50) + '\n');
     
     process.exit(0);
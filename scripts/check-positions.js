@@ -1,5 +1,5 @@
 import dotenv from 'dotenv';
-import asterdexService from '../services/asterdex.service.js';  // ← ЗМІНЕНО
+import { liveExchange } from '../services/exchange.service.js';
 import logger from '../utils/logger.js';
 
 dotenv.config();
@@ -8,8 +8,8 @@ async function checkPositions() {
   try {
     logger.info('Checking open positions...');
     
-    await asterdexService.connect();  // ← ЗМІНЕНО
-    const positions = await asterdexService.getOpenPositions();  // ← ЗМІНЕНО
+    await liveExchange.connect();  // ← ЗМІНЕНО
+    const positions = await liveExchange.getOpenPositions();  // ← ЗМІНЕНО
     
     console.log('\n' + '='.repeat(50));
     
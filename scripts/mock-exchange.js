@@ -0,0 +1,572 @@
+/**
+ * Локальна заглушка AsterDex Futures API для інтеграційного тестування.
+ *
+ * Запуск:  npm run mock
+ * Бот:     ASTERDEX_BASE_URL=http://127.0.0.1:8787 USER_STREAM_ENABLED=false MARKET_STREAM_ENABLED=false npm start
+ *
+ * Змінні середовища:
+ *   MOCK_PORT          - порт (8787)
+ *   MOCK_BALANCE       - стартовий баланс USDT (1000)
+ *   MOCK_SIGNER        - дозволена адреса signer (за замовчуванням будь-яка з валідним підписом)
+ *   MOCK_DUAL_SIDE     - HEDGE режим позицій акаунта (false)
+ *   MOCK_PRICES        - сценарій цін: "ADAUSDT=0.45,0.452,0.449;TAOUSDT=400,402"
+ *   MOCK_TICK_MS       - інтервал кроку сценарію цін (1000)
+ *   MOCK_ERRORS        - ін'єкція помилок: "POST /fapi/v3/order=-2019*1,GET /fapi/v3/balance=429*2"
+ *
+ * Керування під час роботи:
+ *   POST /mock/price?symbol=ADAUSDT&price=0.46                             - встановити ціну
+ *   POST /mock/errors?method=POST&endpoint=/fapi/v3/order&code=-4131&count=1 - додати помилку
+ *   GET  /mock/state                                                        - поточний стан
+ */
+import http from 'http';
+import { ethers } from 'ethers';
+
+const PORT = parseInt(process.env.MOCK_PORT || '8787');
+const TICK_MS = parseInt(process.env.MOCK_TICK_MS || '1000');
+const NONCE_WINDOW_MS = 5000;
+const TAKER_FEE = 0.00035;
+const MAKER_FEE = 0.0001;
+
+const EIP712_DOMAIN = {
+  name: 'AsterSignTransaction',
+  version: '1',
+  chainId: 1666,
+  verifyingContract: '0x0000000000000000000000000000000000000000'
+};
+const EIP712_TYPES = { Message: [{ name: 'msg', type: 'string' }] };
+
+const ERROR_MESSAGES = {
+  [-1003]: 'Too many requests; current limit is 2400 requests per minute.',
+  [-1021]: 'Timestamp for this request is outside of the recvWindow.',
+  [-1022]: 'Signature for this request is not valid.',
+  [-1102]: 'A mandatory parameter was not sent, was empty/null, or malformed.',
+  [-1121]: 'Invalid symbol.',
+  [-2011]: 'Unknown order sent.',
+  [-2013]: 'Order does not exist.',
+  [-2019]: 'Margin is insufficient.',
+  [-2022]: 'ReduceOnly Order is rejected.',
+  [-2027]: 'Exceeded the maximum allowable position at current leverage.',
+  [-4046]: 'No need to change margin type.',
+  [-4116]: 'ClientOrderId is duplicated.',
+  [-4131]: 'The counterparty\'s best price does not meet the PERCENT_PRICE filter limit.'
+};
+
+const SYMBOLS = {
+  ADAUSDT: { tickSize: '0.0001', stepSize: '1', minQty: '1', price: 0.45 },
+  TAOUSDT: { tickSize: '0.01', stepSize: '0.001', minQty: '0.001', price: 400 },
+  UNIUSDT: { tickSize: '0.001', stepSize: '0.01', minQty: '0.01', price: 8 }
+};
+
+// Спільна для всіх символів таблиця leverage brackets
+const LEVERAGE_BRACKETS = [
+  { bracket: 1, initialLeverage: 50, notionalCap: 5000, notionalFloor: 0, maintMarginRatio: 0.01, cum: 0 },
+  { bracket: 2, initialLeverage: 25, notionalCap: 25000, notionalFloor: 5000, maintMarginRatio: 0.02, cum: 50 },
+  { bracket: 3, initialLeverage: 10, notionalCap: 100000, notionalFloor: 25000, maintMarginRatio: 0.05, cum: 800 },
+  { bracket: 4, initialLeverage: 5, notionalCap: 250000, notionalFloor: 100000, maintMarginRatio: 0.1, cum: 5800 },
+  { bracket: 5, initialLeverage: 1, notionalCap: 1000000, notionalFloor: 250000, maintMarginRatio: 0.5, cum: 105800 }
+];
+
+// Стан біржі
+const state = {
+  balance: parseFloat(process.env.MOCK_BALANCE || '1000'),
+  prices: Object.fromEntries(Object.entries(SYMBOLS).map(([symbol, info]) => [symbol, info.price])),
+  leverage: {},
+  marginType: {},
+  positions: {}, // `${symbol}:${positionSide}` -> { amount, entryPrice }
+  orders: [],
+  trades: [],
+  nextOrderId: 1000,
+  nextTradeId: 1,
+  errors: [],
+  pricePath: {},
+  pathIndex: 0
+};
+
+/**
+ * Розбирає MOCK_ERRORS у список правил
+ */
+function parseErrorRules(spec) {
+  if (!spec) return [];
+
+  return spec.split(',').map(rule => {
+    const [target, action] = rule.trim().split('=');
+    const [method, endpoint] = target.trim().split(' ');
+    const [code, count] = action.split('*');
+    return { method, endpoint, code: parseInt(code), count: count ? parseInt(count) : 1 };
+  });
+}
+
+/**
+ * Розбирає MOCK_PRICES у сценарій цін
+ */
+function parsePricePath(spec) {
+  if (!spec) return {};
+
+  const path = {};
+  for (const entry of spec.split(';')) {
+    const [symbol, prices] = entry.split('=');
+    path[symbol.trim().toUpperCase()] = prices.split(',').map(Number);
+  }
+  return path;
+}
+
+/**
+ * Відповідь з помилкою у форматі біржі
+ */
+function sendError(res, code, status = 400) {
+  // Додатні коди - HTTP статуси (429, 5xx), від'ємні - коди API
+  if (code >= 500) {
+    return sendJson(res, { code: -1000, msg: 'An unknown error occurred while processing the request.' }, code);
+  }
+
+  const httpStatus = code === 429 || code === -1003 ? 429 : status;
+  const apiCode = code === 429 ? -1003 : code;
+  sendJson(res, { code: apiCode, msg: ERROR_MESSAGES[apiCode] || 'Mock error' }, httpStatus);
+}
+
+function sendJson(res, body, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Чи треба повернути заплановану помилку для цього запиту
+ */
+function takeInjectedError(method, endpoint) {
+  const rule = state.errors.find(r => r.method === method && r.endpoint === endpoint && r.count > 0);
+  if (!rule) return null;
+
+  rule.count--;
+  state.errors = state.errors.filter(r => r.count > 0);
+  return rule.code;
+}
+
+/**
+ * Перевіряє EIP-712 підпис та вікно nonce як справжнє API
+ * @returns {number|null} код помилки
+ */
+function verifySignature(rawQuery, params) {
+  const signatureIndex = rawQuery.lastIndexOf('&signature=');
+  if (signatureIndex === -1 || !params.nonce || !params.user || !params.signer) {
+    return -1102;
+  }
+
+  const paramString = rawQuery.slice(0, signatureIndex);
+  const signature = rawQuery.slice(signatureIndex + '&signature='.length);
+
+  // nonce бота: мілісекунди * 1_000_000 + лічильник
+  const nonceMs = Number(BigInt(params.nonce) / 1_000_000n);
+  if (Math.abs(Date.now() - nonceMs) > NONCE_WINDOW_MS) {
+    return -1021;
+  }
+
+  try {
+    const recovered = ethers.verifyTypedData(EIP712_DOMAIN, EIP712_TYPES, { msg: paramString }, signature);
+    if (recovered.toLowerCase() !== params.signer.toLowerCase()) {
+      return -1022;
+    }
+    if (process.env.MOCK_SIGNER && recovered.toLowerCase() !== process.env.MOCK_SIGNER.toLowerCase()) {
+      return -1022;
+    }
+  } catch (error) {
+    return -1022;
+  }
+
+  return null;
+}
+
+/**
+ * Кількість знаків після коми для кроку
+ */
+function decimalsOf(step) {
+  return step.includes('.') ? step.split('.')[1].replace(/0+$/, '').length : 0;
+}
+
+function positionKey(symbol, positionSide) {
+  return `${symbol}:${positionSide || 'BOTH'}`;
+}
+
+/**
+ * Застосовує виконання до позиції та балансу
+ */
+function applyFill(order, price, isMaker) {
+  const key = positionKey(order.symbol, order.positionSide);
+  const position = state.positions[key] || { amount: 0, entryPrice: 0 };
+  const signedQty = order.side === 'BUY' ? order.quantity : -order.quantity;
+
+  let realizedPnl = 0;
+  const isReducing = position.amount !== 0 && Math.sign(position.amount) !== Math.sign(signedQty);
+
+  if (isReducing) {
+    const closedQty = Math.min(Math.abs(signedQty), Math.abs(position.amount));
+    realizedPnl = (price - position.entryPrice) * closedQty * Math.sign(position.amount);
+    const remaining = position.amount + signedQty;
+
+    if (Math.sign(remaining) !== Math.sign(position.amount) && remaining !== 0) {
+      // Переворот позиції: залишок відкривається за ціною виконання
+      position.entryPrice = price;
+    }
+    position.amount = remaining;
+  } else {
+    const newAmount = position.amount + signedQty;
+    position.entryPrice = (position.entryPrice * Math.abs(position.amount) + price * Math.abs(signedQty)) / Math.abs(newAmount);
+    position.amount = newAmount;
+  }
+
+  if (Math.abs(position.amount) < 1e-12) {
+    delete state.positions[key];
+  } else {
+    state.positions[key] = position;
+  }
+
+  const commission = price * order.quantity * (isMaker ? MAKER_FEE : TAKER_FEE);
+  state.balance += realizedPnl - commission;
+
+  state.trades.push({
+    id: state.nextTradeId++,
+    symbol: order.symbol,
+    orderId: order.orderId,
+    side: order.side,
+    positionSide: order.positionSide,
+    price: String(price),
+    qty: String(order.quantity),
+    quoteQty: String(price * order.quantity),
+    realizedPnl: String(realizedPnl),
+    commission: String(commission),
+    commissionAsset: 'USDT',
+    buyer: order.side === 'BUY',
+    maker: isMaker,
+    time: Date.now()
+  });
+
+  order.status = 'FILLED';
+  order.executedQty = order.quantity;
+  order.avgPrice = price;
+  order.updateTime = Date.now();
+}
+
+/**
+ * Перевіряє умовні ордери (TP/SL) при зміні ціни
+ */
+function checkTriggers(symbol) {
+  const price = state.prices[symbol];
+
+  for (const order of state.orders) {
+    if (order.symbol !== symbol || order.status !== 'NEW') continue;
+
+    const isTakeProfit = order.type.startsWith('TAKE_PROFIT');
+    const triggered = order.side === 'SELL'
+      ? (isTakeProfit ? price >= order.stopPrice : price <= order.stopPrice)
+      : (isTakeProfit ? price <= order.stopPrice : price >= order.stopPrice);
+
+    if (triggered) {
+      const fillPrice = order.price || price;
+      console.log(`[MOCK] ${symbol}: ${order.type} #${order.orderId} triggered @ ${fillPrice}`);
+      applyFill(order, fillPrice, order.type === 'TAKE_PROFIT' || order.type === 'STOP');
+    }
+  }
+}
+
+function setPrice(symbol, price) {
+  state.prices[symbol] = price;
+  checkTriggers(symbol);
+}
+
+/**
+ * Формат ордера у відповіді API
+ */
+function formatOrder(order) {
+  return {
+    orderId: order.orderId,
+    clientOrderId: order.clientOrderId,
+    symbol: order.symbol,
+    side: order.side,
+    positionSide: order.positionSide,
+    type: order.type,
+    status: order.status,
+    price: String(order.price || 0),
+    stopPrice: String(order.stopPrice || 0),
+    avgPrice: String(order.avgPrice || 0),
+    origQty: String(order.quantity),
+    executedQty: String(order.executedQty || 0),
+    reduceOnly: order.reduceOnly,
+    closePosition: false,
+    time: order.time,
+    updateTime: order.updateTime
+  };
+}
+
+function findOrder(params) {
+  return state.orders.find(o => o.symbol === params.symbol && (
+    (params.orderId && String(o.orderId) === String(params.orderId)) ||
+    (params.origClientOrderId && o.clientOrderId === params.origClientOrderId)
+  ));
+}
+
+/**
+ * Розміщує ордер
+ */
+function placeOrder(params) {
+  const symbolInfo = SYMBOLS[params.symbol];
+  if (!symbolInfo) return { error: -1121 };
+
+  if (params.newClientOrderId && state.orders.some(o => o.clientOrderId === params.newClientOrderId)) {
+    return { error: -4116 };
+  }
+
+  const quantity = parseFloat(params.quantity);
+  if (!(quantity > 0)) return { error: -1102 };
+
+  const price = state.prices[params.symbol];
+  const leverage = state.leverage[params.symbol] || 20;
+
+  if (params.type === 'MARKET' && params.reduceOnly !== 'true') {
+    const requiredMargin = (quantity * price) / leverage;
+    if (requiredMargin > state.balance) return { error: -2019 };
+
+    const maxNotional = Math.max(0, ...LEVERAGE_BRACKETS
+      .filter(b => b.initialLeverage >= leverage)
+      .map(b => b.notionalCap));
+    if (quantity * price > maxNotional) return { error: -2027 };
+  }
+
+  const order = {
+    orderId: state.nextOrderId++,
+    clientOrderId: params.newClientOrderId || `mock_${Date.now()}`,
+    symbol: params.symbol,
+    side: params.side,
+    positionSide: params.positionSide || 'BOTH',
+    type: params.type,
+    quantity,
+    price: parseFloat(params.price || '0'),
+    stopPrice: parseFloat(params.stopPrice || '0'),
+    reduceOnly: params.reduceOnly === 'true',
+    status: 'NEW',
+    time: Date.now(),
+    updateTime: Date.now()
+  };
+
+  if (order.type === 'MARKET') {
+    if (order.reduceOnly) {
+      const position = state.positions[positionKey(order.symbol, order.positionSide)];
+      order.quantity = Math.min(order.quantity, Math.abs(position?.amount || 0));
+      if (order.quantity === 0) return { error: -2022 };
+    }
+    applyFill(order, price, false);
+  }
+
+  state.orders.push(order);
+  return { order };
+}
+
+const KLINE_INTERVAL_MS = { '1m': 60000, '5m': 300000, '15m': 900000, '1h': 3600000, '4h': 14400000, '1d': 86400000 };
+
+/**
+ * Синтетичні свічки навколо поточної ціни (діапазон ~0.4% від ціни)
+ */
+function buildKlines(symbol, interval, limit) {
+  const intervalMs = KLINE_INTERVAL_MS[interval] || KLINE_INTERVAL_MS['15m'];
+  const price = state.prices[symbol];
+  const currentOpen = Math.floor(Date.now() / intervalMs) * intervalMs;
+
+  return Array.from({ length: limit }, (_, i) => {
+    const openTime = currentOpen - (limit - 1 - i) * intervalMs;
+    const drift = Math.sin(openTime / intervalMs) * price * 0.002;
+    const open = price + drift;
+    const close = price - drift;
+    return [
+      openTime,
+      String(open),
+      String(Math.max(open, close) + price * 0.001),
+      String(Math.min(open, close) - price * 0.001),
+      String(close),
+      '1000',
+      openTime + intervalMs - 1
+    ];
+  });
+}
+
+/**
+ * Обробка endpoint'ів API
+ */
+function handleApi(method, endpoint, params) {
+  const route = `${method} ${endpoint}`;
+
+  switch (route) {
+    case 'GET /fapi/v1/ping':
+      return {};
+
+    case 'GET /fapi/v1/time':
+      return { serverTime: Date.now() };
+
+    case 'GET /fapi/v3/exchangeInfo':
+      return {
+        symbols: Object.entries(SYMBOLS).map(([symbol, info]) => ({
+          symbol,
+          status: 'TRADING',
+          baseAsset: symbol.replace('USDT', ''),
+          quoteAsset: 'USDT',
+          pricePrecision: decimalsOf(info.tickSize),
+          quantityPrecision: decimalsOf(info.stepSize),
+          filters: [
+            { filterType: 'PRICE_FILTER', tickSize: info.tickSize, minPrice: info.tickSize, maxPrice: '1000000' },
+            { filterType: 'LOT_SIZE', stepSize: info.stepSize, minQty: info.minQty, maxQty: '1000000' },
+            { filterType: 'MARKET_LOT_SIZE', stepSize: info.stepSize, minQty: info.minQty, maxQty: '100000' },
+            { filterType: 'MIN_NOTIONAL', notional: '5' },
+            { filterType: 'PERCENT_PRICE', multiplierUp: '1.05', multiplierDown: '0.95', multiplierDecimal: '4' }
+          ]
+        }))
+      };
+
+    case 'GET /fapi/v3/klines': {
+      if (!state.prices[params.symbol]) return { error: -1121 };
+      return buildKlines(params.symbol, params.interval, parseInt(params.limit) || 500);
+    }
+
+    case 'GET /fapi/v3/ticker/price':
+      if (!state.prices[params.symbol]) return { error: -1121 };
+      return { symbol: params.symbol, price: String(state.prices[params.symbol]), time: Date.now() };
+
+    case 'GET /fapi/v3/balance':
+      return [{ asset: 'USDT', balance: String(state.balance), availableBalance: String(state.balance) }];
+
+    case 'POST /fapi/v3/leverage':
+      state.leverage[params.symbol] = parseInt(params.leverage);
+      return { symbol: params.symbol, leverage: parseInt(params.leverage), maxNotionalValue: '1000000' };
+
+    case 'POST /fapi/v3/marginType':
+      if (!SYMBOLS[params.symbol]) return { error: -1121 };
+      if ((state.marginType[params.symbol] || 'CROSSED') === params.marginType) return { error: -4046 };
+      state.marginType[params.symbol] = params.marginType;
+      return { code: 200, msg: 'success' };
+
+    case 'GET /fapi/v3/leverageBracket':
+      return Object.keys(SYMBOLS)
+        .filter(symbol => !params.symbol || symbol === params.symbol)
+        .map(symbol => ({ symbol, brackets: LEVERAGE_BRACKETS }));
+
+    case 'POST /fapi/v3/order': {
+      const result = placeOrder(params);
+      return result.error ? result : formatOrder(result.order);
+    }
+
+    case 'GET /fapi/v3/order': {
+      const order = findOrder(params);
+      return order ? formatOrder(order) : { error: -2013 };
+    }
+
+    case 'DELETE /fapi/v3/order': {
+      const order = findOrder(params);
+      if (!order || order.status !== 'NEW') return { error: -2011 };
+      order.status = 'CANCELED';
+      order.updateTime = Date.now();
+      return formatOrder(order);
+    }
+
+    case 'GET /fapi/v3/openOrders':
+      return state.orders
+        .filter(o => o.status === 'NEW' && (!params.symbol || o.symbol === params.symbol))
+        .map(formatOrder);
+
+    case 'GET /fapi/v3/positionRisk':
+      return Object.entries(state.positions)
+        .filter(([key]) => !params.symbol || key.startsWith(`${params.symbol}:`))
+        .map(([key, position]) => {
+          const [symbol, positionSide] = key.split(':');
+          const markPrice = state.prices[symbol];
+          return {
+            symbol,
+            positionSide,
+            positionAmt: String(position.amount),
+            entryPrice: String(position.entryPrice),
+            markPrice: String(markPrice),
+            unRealizedProfit: String((markPrice - position.entryPrice) * position.amount),
+            liquidationPrice: '0',
+            leverage: String(state.leverage[symbol] || 20),
+            marginType: (state.marginType[symbol] || 'CROSSED').toLowerCase()
+          };
+        });
+
+    case 'GET /fapi/v3/userTrades':
+      return state.trades
+        .filter(t => !params.symbol || t.symbol === params.symbol)
+        .filter(t => !params.startTime || t.time >= parseInt(params.startTime))
+        .slice(-(parseInt(params.limit) || 500));
+
+    case 'GET /fapi/v3/positionSide/dual':
+      return { dualSidePosition: process.env.MOCK_DUAL_SIDE === 'true' };
+
+    case 'GET /fapi/v3/income':
+      // Funding не симулюється
+      return [];
+
+    default:
+      return null;
+  }
+}
+
+const SIGNED_ENDPOINTS = ['/fapi/v3/balance', '/fapi/v3/leverage', '/fapi/v3/marginType', '/fapi/v3/leverageBracket', '/fapi/v3/order', '/fapi/v3/openOrders', '/fapi/v3/positionRisk', '/fapi/v3/userTrades', '/fapi/v3/income', '/fapi/v3/positionSide/dual'];
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://127.0.0.1:${PORT}`);
+  const rawQuery = req.url.includes('?') ? req.url.slice(req.url.indexOf('?') + 1) : '';
+  const params = Object.fromEntries(url.searchParams.entries());
+  const endpoint = url.pathname;
+
+  // Керування заглушкою
+  if (endpoint === '/mock/state') {
+    return sendJson(res, state);
+  }
+  if (endpoint === '/mock/price' && req.method === 'POST') {
+    setPrice(params.symbol, parseFloat(params.price));
+    return sendJson(res, { symbol: params.symbol, price: state.prices[params.symbol] });
+  }
+  if (endpoint === '/mock/errors' && req.method === 'POST') {
+    state.errors.push({ method: params.method, endpoint: params.endpoint, code: parseInt(params.code), count: parseInt(params.count || '1') });
+    return sendJson(res, state.errors);
+  }
+
+  const injected = takeInjectedError(req.method, endpoint);
+  if (injected !== null) {
+    console.log(`[MOCK] Injected error ${injected} for ${req.method} ${endpoint}`);
+    return sendError(res, injected);
+  }
+
+  if (SIGNED_ENDPOINTS.includes(endpoint)) {
+    const signatureError = verifySignature(rawQuery, params);
+    if (signatureError) {
+      return sendError(res, signatureError, signatureError === -1022 ? 401 : 400);
+    }
+  }
+
+  const result = handleApi(req.method, endpoint, params);
+  if (result === null) {
+    return sendJson(res, { code: -1, msg: `Unknown endpoint ${req.method} ${endpoint}` }, 404);
+  }
+  if (result.error) {
+    return sendError(res, result.error);
+  }
+
+  sendJson(res, result);
+});
+
+state.errors = parseErrorRules(process.env.MOCK_ERRORS);
+state.pricePath = parsePricePath(process.env.MOCK_PRICES);
+
+// Крок сценарію цін
+if (Object.keys(state.pricePath).length > 0) {
+  setInterval(() => {
+    state.pathIndex++;
+    for (const [symbol, path] of Object.entries(state.pricePath)) {
+      setPrice(symbol, path[Math.min(state.pathIndex, path.length - 1)]);
+    }
+  }, TICK_MS);
+
+  for (const [symbol, path] of Object.entries(state.pricePath)) {
+    state.prices[symbol] = path[0];
+  }
+}
+
+server.listen(PORT, () => {
+  console.log(`[MOCK] AsterDex mock exchange listening on http://127.0.0.1:${PORT}`);
+});
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import ExchangeAdapter from './exchange.adapter.js';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Endpoint'и Binance USDⓈ-M Futures
+ */
+const BINANCE_ENDPOINTS = {
+  ping: '/fapi/v1/ping',
+  time: '/fapi/v1/time',
+  exchangeInfo: '/fapi/v1/exchangeInfo',
+  tickerPrice: '/fapi/v1/ticker/price',
+  klines: '/fapi/v1/klines',
+  balance: '/fapi/v2/balance',
+  leverage: '/fapi/v1/leverage',
+  marginType: '/fapi/v1/marginType',
+  leverageBracket: '/fapi/v1/leverageBracket',
+  order: '/fapi/v1/order',
+  openOrders: '/fapi/v1/openOrders',
+  positionRisk: '/fapi/v2/positionRisk',
+  userTrades: '/fapi/v1/userTrades',
+  income: '/fapi/v1/income',
+  listenKey: '/fapi/v1/listenKey',
+  positionMode: '/fapi/v1/positionSide/dual'
+};
+
+/**
+ * Адаптер Binance-сумісних ф'ючерсів з HMAC-SHA256 підписом
+ */
+class BinanceService extends ExchangeAdapter {
+  /**
+   * @param {Object} account - акаунт з config.account (API ключі Binance)
+   */
+  constructor(account = config.account) {
+    super({
+      name: 'Binance',
+      tag: '[BINANCE]',
+      baseURL: config.binance.baseURL,
+      wsURL: config.binance.wsURL,
+      testnet: config.binance.testnet,
+      endpoints: BINANCE_ENDPOINTS
+    });
+
+    this.apiKey = account.credentials.apiKey;
+    this.apiSecret = account.credentials.apiSecret;
+    this.recvWindow = config.binance.recvWindow;
+
+    // За замовчуванням MARKET ордер повертає ACK без avgPrice
+    this.marketOrderParams = { newOrderRespType: 'RESULT' };
+  }
+
+  /**
+   * Підписує запит: timestamp + recvWindow, HMAC-SHA256 від рядка запиту.
+   * listenKey (USER_STREAM) потребує лише API ключа
+   */
+  async signRequest(method, endpoint, params = {}) {
+    const headers = { 'X-MBX-APIKEY': this.apiKey };
+
+    if (endpoint === this.endpoints.listenKey) {
+      return { query: new URLSearchParams(params).toString(), headers };
+    }
+
+    const query = new URLSearchParams({
+      ...params,
+      recvWindow: String(this.recvWindow),
+      timestamp: String(this.getServerTime())
+    }).toString();
+
+    const signature = crypto
+      .createHmac('sha256', this.apiSecret)
+      .update(query)
+      .digest('hex');
+
+    logger.debug(`[BINANCE] Query string: ${query}`);
+
+    return { query: `${query}&signature=${signature}`, headers };
+  }
+}
+
+export default BinanceService;
@@ -0,0 +1,364 @@
+import exchange from './exchange.service.js';
+import positionService, { getPositionKey } from './position.service.js';
+import telegramService from './telegram.service.js';
+import stateService from './state.service.js';
+import marketStreamService from './marketstream.service.js';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+import { calculatePnL, buildClientOrderId, retry, isRetryableError } from '../utils/helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Причини спрацювання circuit breaker
+ */
+export const TRIP_REASON = {
+  DAILY_LOSS: 'DAILY_LOSS',
+  DRAWDOWN: 'DRAWDOWN',
+  CONSECUTIVE_LOSSES: 'CONSECUTIVE_LOSSES'
+};
+
+/**
+ * Початок поточного періоду - останнє настання resetHour (UTC)
+ */
+function getPeriodStart(now = Date.now()) {
+  const start = new Date(now);
+  start.setUTCHours(config.circuitBreaker.resetHour, 0, 0, 0);
+
+  if (start.getTime() > now) {
+    start.setUTCDate(start.getUTCDate() - 1);
+  }
+
+  return start.getTime();
+}
+
+/**
+ * P&L позиції від входу за ціною price разом з частковими закриттями
+ */
+function getPositionPnl(position, price) {
+  return calculatePnL(position.entryPrice, price, position.quantity, position.direction) + (position.realizedPnl || 0);
+}
+
+/**
+ * Circuit breaker: рахує реалізований та нереалізований P&L періоду відносно
+ * стартового балансу та піку equity і зупиняє нові входи після перевищення лімітів
+ */
+class CircuitBreakerService {
+  constructor() {
+    // { periodStart, startBalance, equityPeak, realizedPnl, consecutiveLosses, trip, baselines }
+    this.state = null;
+    this.checkInterval = null;
+    this.resetTimeout = null;
+    this.onPositionClosed = (position) => this.handlePositionClosed(position);
+  }
+
+  /**
+   * Відновлює стан періоду та запускає перевірки.
+   * Якщо збереженого стану немає або він застарів - період створює ensurePeriod()
+   */
+  start() {
+    const saved = stateService.get('circuitBreaker');
+
+    if (saved && saved.periodStart === getPeriodStart()) {
+      this.state = saved;
+      logger.info(`[CIRCUIT] Restored period state: realized ${saved.realizedPnl.toFixed(2)} USDT, ${saved.consecutiveLosses} consecutive losses${saved.trip ? `, TRIPPED (${saved.trip.reason})` : ''}`);
+    }
+
+    positionService.on('positionClosed', this.onPositionClosed);
+    this.checkInterval = setInterval(() => this.check(), config.circuitBreaker.checkIntervalMs);
+    this.scheduleReset();
+
+    logger.info(`[CIRCUIT] Limits: daily loss ${config.circuitBreaker.maxDailyLossPercent}%, drawdown ${config.circuitBreaker.maxDrawdownPercent}%, consecutive losses ${config.circuitBreaker.maxConsecutiveLosses} (0 = off)`);
+  }
+
+  stop() {
+    positionService.off('positionClosed', this.onPositionClosed);
+
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    if (this.resetTimeout) {
+      clearTimeout(this.resetTimeout);
+      this.resetTimeout = null;
+    }
+  }
+
+  /**
+   * Створює період від балансу гаманця, якщо стан не відновлено
+   */
+  async ensurePeriod() {
+    if (this.state) return;
+
+    this.state = this.createPeriod(await exchange.getWalletBalance(), await this.getPeriodBaselines());
+    this.save();
+    logger.info(`[CIRCUIT] New period, start balance: ${this.state.startBalance.toFixed(2)} USDT`);
+  }
+
+  createPeriod(balance, baselines = {}) {
+    return {
+      periodStart: getPeriodStart(),
+      startBalance: balance,
+      equityPeak: balance,
+      realizedPnl: 0,
+      consecutiveLosses: 0,
+      trip: null,
+      baselines
+    };
+  }
+
+  /**
+   * P&L позицій, відкритих на початок періоду, за mark ціною на цей момент.
+   * Віднімається від їх P&L, щоб збитки попередніх періодів не рахувались у поточному
+   */
+  async getPeriodBaselines() {
+    const baselines = {};
+
+    for (const position of positionService.getAllOpenPositions()) {
+      try {
+        baselines[getPositionKey(position.symbol, position.positionSide)] = {
+          orderId: position.orderId,
+          pnl: getPositionPnl(position, await this.getPrice(position.symbol))
+        };
+      } catch (error) {
+        logger.warn(`[CIRCUIT] Cannot price ${position.symbol} at period start, counting its P&L from entry: ${error.message}`);
+      }
+    }
+
+    return baselines;
+  }
+
+  /**
+   * P&L позиції на початок періоду (0 - відкрита в цьому періоді)
+   */
+  getBaselinePnl(position) {
+    const baseline = this.state.baselines?.[getPositionKey(position.symbol, position.positionSide)];
+    return baseline && String(baseline.orderId) === String(position.orderId) ? baseline.pnl : 0;
+  }
+
+  async getPrice(symbol) {
+    return marketStreamService.getMarkPrice(symbol) || await exchange.getCurrentPrice(symbol);
+  }
+
+  save() {
+    stateService.set('circuitBreaker', this.state);
+  }
+
+  /**
+   * Планує скидання на початок наступного періоду
+   */
+  scheduleReset() {
+    const nextPeriodStart = getPeriodStart() + DAY_MS;
+
+    this.resetTimeout = setTimeout(async () => {
+      try {
+        await this.reset(await exchange.getWalletBalance());
+      } catch (error) {
+        logger.error(`[CIRCUIT] Scheduled reset failed: ${error.message}`);
+      }
+      this.scheduleReset();
+    }, nextPeriodStart - Date.now());
+
+    logger.info(`[CIRCUIT] Next reset scheduled for ${new Date(nextPeriodStart).toISOString()}`);
+  }
+
+  /**
+   * Починає новий період: стартовий баланс, пік та лічильники з нуля
+   */
+  async reset(balance) {
+    const previousTrip = this.state?.trip;
+
+    this.state = this.createPeriod(balance, await this.getPeriodBaselines());
+    this.save();
+    logger.info(`[CIRCUIT] Period reset, start balance: ${balance.toFixed(2)} USDT`);
+
+    if (previousTrip && !config.trading.dryRun) {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatCircuitBreakerResetMessage({ previousTrip, startBalance: balance })
+      );
+    }
+  }
+
+  /**
+   * Враховує результат закритої позиції
+   */
+  async handlePositionClosed(position) {
+    if (!this.state) return;
+
+    this.state.realizedPnl += position.pnl - this.getBaselinePnl(position);
+    this.state.consecutiveLosses = position.pnl < 0 ? this.state.consecutiveLosses + 1 : 0;
+    delete this.state.baselines?.[getPositionKey(position.symbol, position.positionSide)];
+    this.save();
+
+    await this.check();
+  }
+
+  /**
+   * P&L відстежуваних позицій за mark (або поточною) ціною від початку періоду
+   */
+  async getUnrealizedPnl() {
+    let unrealizedPnl = 0;
+
+    for (const position of positionService.getAllOpenPositions()) {
+      try {
+        const price = await this.getPrice(position.symbol);
+        // Часткові закриття (рівні TP) потраплять в realizedPnl періоду лише при закритті позиції
+        unrealizedPnl += getPositionPnl(position, price) - this.getBaselinePnl(position);
+      } catch (error) {
+        logger.warn(`[CIRCUIT] Cannot price ${position.symbol}: ${error.message}`);
+      }
+    }
+
+    return unrealizedPnl;
+  }
+
+  /**
+   * Поточні показники періоду (оновлює пік equity)
+   */
+  async getSnapshot() {
+    const unrealizedPnl = await this.getUnrealizedPnl();
+    const { startBalance, realizedPnl, consecutiveLosses } = this.state;
+
+    const periodPnl = realizedPnl + unrealizedPnl;
+    const equity = startBalance + periodPnl;
+
+    if (equity > this.state.equityPeak) {
+      this.state.equityPeak = equity;
+      this.save();
+    }
+
+    const { equityPeak } = this.state;
+
+    return {
+      startBalance,
+      realizedPnl,
+      unrealizedPnl,
+      periodPnl,
+      equity,
+      equityPeak,
+      dailyLossPercent: startBalance > 0 ? Math.max(0, -periodPnl) / startBalance * 100 : 0,
+      drawdownPercent: equityPeak > 0 ? (equityPeak - equity) / equityPeak * 100 : 0,
+      consecutiveLosses
+    };
+  }
+
+  /**
+   * Ліміт, який перевищено, або null
+   */
+  findBreach(snapshot) {
+    const limits = config.circuitBreaker;
+
+    if (limits.maxDailyLossPercent > 0 && snapshot.dailyLossPercent >= limits.maxDailyLossPercent) {
+      return {
+        reason: TRIP_REASON.DAILY_LOSS,
+        description: `Daily loss ${snapshot.dailyLossPercent.toFixed(2)}% reached limit ${limits.maxDailyLossPercent}%`
+      };
+    }
+
+    if (limits.maxDrawdownPercent > 0 && snapshot.drawdownPercent >= limits.maxDrawdownPercent) {
+      return {
+        reason: TRIP_REASON.DRAWDOWN,
+        description: `Drawdown ${snapshot.drawdownPercent.toFixed(2)}% from equity peak reached limit ${limits.maxDrawdownPercent}%`
+      };
+    }
+
+    if (limits.maxConsecutiveLosses > 0 && snapshot.consecutiveLosses >= limits.maxConsecutiveLosses) {
+      return {
+        reason: TRIP_REASON.CONSECUTIVE_LOSSES,
+        description: `${snapshot.consecutiveLosses} consecutive losses reached limit ${limits.maxConsecutiveLosses}`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Перевіряє ліміти. Повертає активне спрацювання або null
+   */
+  async check() {
+    if (!this.state) return null;
+    if (this.state.trip) return this.state.trip;
+
+    try {
+      const snapshot = await this.getSnapshot();
+      const breach = this.findBreach(snapshot);
+
+      if (breach) {
+        await this.trip(breach, snapshot);
+      }
+    } catch (error) {
+      logger.error(`[CIRCUIT] Error checking limits: ${error.message}`);
+    }
+
+    return this.state.trip;
+  }
+
+  /**
+   * Зупиняє нові входи, за налаштуванням закриває позиції та сповіщає Telegram
+   */
+  async trip(breach, snapshot) {
+    // Паралельна перевірка (таймер / закриття позиції / сигнал) могла вже спрацювати
+    if (this.state.trip) return;
+
+    this.state.trip = { ...breach, trippedAt: Date.now() };
+    this.save();
+
+    logger.error(`[CIRCUIT] ⛔ Circuit breaker tripped: ${breach.description}. New entries halted`);
+
+    const flattened = config.circuitBreaker.flattenOnTrip
+      ? await this.flattenPositions()
+      : null;
+
+    if (!config.trading.dryRun) {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatCircuitBreakerMessage({
+          ...this.state.trip,
+          ...snapshot,
+          flattened,
+          resetAt: getPeriodStart() + DAY_MS
+        })
+      );
+    }
+  }
+
+  /**
+   * Закриває всі відстежувані позиції reduce-only market ордерами
+   * @returns {Array} [{ symbol, direction, orderId } | { symbol, direction, error }]
+   */
+  async flattenPositions() {
+    const results = [];
+
+    for (const position of positionService.getAllOpenPositions()) {
+      const { symbol, direction, positionSide, quantity } = position;
+      const key = getPositionKey(symbol, positionSide);
+
+      try {
+        const side = exchange.getOrderSide(direction);
+        const closeResult = await retry(
+          () => exchange.closePositionMarket(symbol, side, quantity, positionSide, buildClientOrderId('C', symbol, direction, position.orderId, 'circuit')),
+          config.trading.protectiveOrderRetries,
+          { shouldRetry: isRetryableError }
+        );
+
+        // Закриття ботом - причина виходу MANUAL
+        positionService.addCloseOrder(key, closeResult.orderId);
+
+        // TP/SL знімаємо лише після закриття: якщо закрити не вдалось, позиція лишається під захистом
+        await positionService.cancelBracket(symbol, position);
+        results.push({ symbol, direction, orderId: closeResult.orderId });
+        logger.info(`[CIRCUIT] Flattened ${key}: order ${closeResult.orderId}`);
+      } catch (error) {
+        results.push({ symbol, direction, error: error.message });
+        logger.error(`[CIRCUIT] Failed to flatten ${key}: ${error.message}`);
+      }
+    }
+
+    return results;
+  }
+}
+
+// Експортуємо singleton
+const circuitBreakerService = new CircuitBreakerService();
+export default circuitBreakerService;
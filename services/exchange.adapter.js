@@ -0,0 +1,1003 @@
+import axios from 'axios';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+import marketStreamService from './marketstream.service.js';
+import ExchangeInfoService, { FILTER_ERROR_CODES } from './exchangeinfo.service.js';
+import RequestScheduler, { PRIORITY, getEndpointWeight, getEndpointPriority } from './scheduler.service.js';
+import { sleep, buildClientOrderId, CLIENT_ORDER_PREFIX } from '../utils/helpers.js';
+
+// Статуси, за яких ордер з clientOrderId вважається вже розміщеним
+const PLACED_ORDER_STATUSES = ['NEW', 'PARTIALLY_FILLED', 'FILLED'];
+
+/**
+ * Новий clientOrderId з тим самим тегом для повторної відправки ордера,
+ * попередня спроба якого скасована / відхилена / закінчилась
+ */
+function renewClientOrderId(clientOrderId, attempt) {
+  const tag = clientOrderId.startsWith(CLIENT_ORDER_PREFIX)
+    ? clientOrderId.slice(CLIENT_ORDER_PREFIX.length, clientOrderId.lastIndexOf('_'))
+    : 'R';
+  return buildClientOrderId(tag, clientOrderId, attempt);
+}
+
+/**
+ * Класифікує помилку API:
+ * retryable - можна повторити запит
+ * ambiguous - невідомо чи запит виконався (для ордерів спершу перевіряємо статус)
+ */
+function classifyApiError(status, code) {
+  if (status >= 500 || code === -1000 || code === -1001 || code === -1007) {
+    return { retryable: true, ambiguous: true };
+  }
+
+  if (status === 429 || code === -429 || code === -1003 || code === -1021) {
+    return { retryable: true, ambiguous: false };
+  }
+
+  return { retryable: false, ambiguous: false };
+}
+
+/**
+ * Створює помилку з кодом та класифікацією
+ */
+function createApiError(message, details) {
+  const error = new Error(message);
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Контракт адаптера біржі та спільна реалізація для Binance-сумісних
+ * ф'ючерсних API. Конкретна біржа задає endpoint'и та підпис запиту:
+ *
+ * - connect() / disconnect() / getStatus()
+ * - getUSDTBalance(), getWalletBalance(), getSymbolInfo(symbol), getCurrentPrice(symbol), getKlines(symbol, interval, limit)
+ * - setLeverage(symbol, leverage), getDualSidePosition()
+ * - setMarginType(symbol, marginType), getLeverageBrackets(symbol)
+ * - openMarketOrder / closePositionMarket / setTakeProfit / setStopLoss
+ * - getOrder / cancelOrder / getOpenOrders
+ * - getOpenPositions / hasOpenPosition / getTradeHistory / getIncomeHistory
+ * - createListenKey / keepAliveListenKey / closeListenKey
+ * - getPositionSide(direction) / getOrderSide(direction)
+ */
+class ExchangeAdapter {
+  /**
+   * @param {Object} options - { name, tag, baseURL, wsURL, testnet, endpoints }
+   */
+  constructor({ name, tag, baseURL, wsURL, testnet, endpoints }) {
+    this.name = name;
+    this.tag = tag;
+    this.baseURL = baseURL;
+    this.wsURL = wsURL;
+    this.testnet = testnet;
+    this.endpoints = endpoints;
+    this.isConnected = false;
+
+    // Додаткові параметри market ордерів (напр. тип відповіді з ціною виконання)
+    this.marketOrderParams = {};
+    
+    // Черга запитів з урахуванням ваги та пріоритетів
+    this.scheduler = new RequestScheduler();
+
+    // Зсув годинника відносно сервера (serverTime - localTime), мс
+    this.timeOffset = 0;
+    this.lastTimeSync = 0;
+    this.timeSyncInterval = null;
+
+    // Кеш exchangeInfo та фільтрів символів
+    this.exchangeInfo = new ExchangeInfoService(
+      () => this.publicRequest('GET', this.endpoints.exchangeInfo)
+    );
+
+    // Вже встановлений тип маржі (symbol -> ISOLATED | CROSSED)
+    this.marginTypes = new Map();
+    // Кеш leverage brackets (symbol -> { brackets, loadedAt })
+    this.leverageBrackets = new Map();
+  }
+
+  /**
+   * Поточний час сервера в мілісекундах (локальний час + виміряний зсув)
+   */
+  getServerTime() {
+    return Math.floor(Date.now() + this.timeOffset);
+  }
+
+  /**
+   * Вимірює зсув локального годинника відносно часу сервера
+   * (з поправкою на половину round-trip)
+   */
+  async syncTime() {
+    const requestStart = Date.now();
+    const timeResponse = await this.publicRequest('GET', this.endpoints.time);
+    const requestEnd = Date.now();
+
+    const localTime = (requestStart + requestEnd) / 2;
+    const offset = Math.round(timeResponse.serverTime - localTime);
+
+    if (Math.abs(offset) > 1000) {
+      logger.warn(`${this.tag} ⚠️ Clock offset with server: ${offset}ms (round-trip ${requestEnd - requestStart}ms), compensating`);
+    } else {
+      logger.debug(`${this.tag} Clock offset: ${offset}ms (round-trip ${requestEnd - requestStart}ms)`);
+    }
+
+    this.timeOffset = offset;
+    this.lastTimeSync = Date.now();
+    return offset;
+  }
+
+  /**
+   * Запускає періодичне оновлення зсуву часу
+   */
+  startTimeSync() {
+    if (this.timeSyncInterval) {
+      return;
+    }
+
+    this.timeSyncInterval = setInterval(async () => {
+      try {
+        await this.syncTime();
+      } catch (error) {
+        logger.error(`${this.tag} Time sync failed: ${error.message}`);
+      }
+    }, config.exchange.timeSyncIntervalMs);
+  }
+
+  /**
+   * Зупиняє періодичне оновлення зсуву часу
+   */
+  stopTimeSync() {
+    if (this.timeSyncInterval) {
+      clearInterval(this.timeSyncInterval);
+      this.timeSyncInterval = null;
+    }
+  }
+
+  /**
+   * Стан підключення для статусних повідомлень
+   */
+  getStatus() {
+    return {
+      isConnected: this.isConnected,
+      exchange: this.name,
+      network: this.testnet ? 'TESTNET' : 'MAINNET',
+      timeOffset: this.timeOffset,
+      lastTimeSync: this.lastTimeSync
+    };
+  }
+
+  /**
+   * Виконує підписаний запит з повторами (exponential backoff + jitter).
+   * Для нових ордерів з newClientOrderId після неоднозначної помилки
+   * спершу перевіряємо чи ордер вже існує, і лише тоді відправляємо повторно
+   */
+  async signedRequest(method, endpoint, params = {}, options = {}) {
+    const { maxAttempts } = config.exchange.retry;
+    const isOrderPlacement = method === 'POST' && endpoint === this.endpoints.order && params.newClientOrderId;
+    let requestParams = params;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.executeSignedRequest(method, endpoint, requestParams, options);
+      } catch (error) {
+        // -4116: ордер з таким clientOrderId вже існує (попередня спроба пройшла)
+        if (isOrderPlacement && error.code === -4116) {
+          const existing = await this.findOrderByClientId(requestParams.symbol, requestParams.newClientOrderId);
+          if (existing && PLACED_ORDER_STATUSES.includes(existing.status)) {
+            return existing;
+          }
+          // Ордер з цим ID вже не живий - повтор з тим самим ID знову отримає -4116
+          if (existing && attempt < maxAttempts) {
+            requestParams = this.renewOrderParams(requestParams, existing, attempt);
+            continue;
+          }
+        }
+
+        if (!error.retryable || attempt >= maxAttempts) {
+          throw error;
+        }
+
+        // -1021: nonce / timestamp поза вікном - пересинхронізуємо годинник перед повтором
+        if (error.code === -1021) {
+          try {
+            await this.syncTime();
+          } catch (syncError) {
+            logger.error(`${this.tag} Time re-sync failed: ${syncError.message}`);
+          }
+        }
+
+        const delay = this.getRetryDelay(attempt);
+        logger.warn(`${this.tag} ${method} ${endpoint} failed: ${error.message}. Retry ${attempt}/${maxAttempts - 1} in ${delay}ms`);
+        await sleep(delay);
+
+        if (isOrderPlacement && error.ambiguous) {
+          const existing = await this.findOrderByClientId(requestParams.symbol, requestParams.newClientOrderId);
+          if (existing && PLACED_ORDER_STATUSES.includes(existing.status)) {
+            logger.info(`${this.tag} Order ${requestParams.newClientOrderId} already placed, skipping resend`);
+            return existing;
+          }
+          if (existing) {
+            requestParams = this.renewOrderParams(requestParams, existing, attempt);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Параметри повторної відправки ордера з новим clientOrderId
+   */
+  renewOrderParams(params, existing, attempt) {
+    const newClientOrderId = renewClientOrderId(params.newClientOrderId, attempt);
+    logger.warn(`${this.tag} Order ${params.newClientOrderId} is ${existing.status}, resending as ${newClientOrderId}`);
+    return { ...params, newClientOrderId };
+  }
+
+  /**
+   * Затримка перед повтором: експоненційна з jitter
+   */
+  getRetryDelay(attempt) {
+    const { baseDelayMs, maxDelayMs } = config.exchange.retry;
+    const delay = Math.min(baseDelayMs * Math.pow(2, attempt - 1), maxDelayMs);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * Шукає ордер за clientOrderId. null якщо ордера немає або статус невідомий
+   */
+  async findOrderByClientId(symbol, clientOrderId) {
+    try {
+      return await this.executeSignedRequest('GET', this.endpoints.order, {
+        symbol,
+        origClientOrderId: clientOrderId
+      }, { priority: PRIORITY.HIGH });
+    } catch (error) {
+      if (error.code !== -2013) {
+        logger.warn(`${this.tag} Could not query order ${clientOrderId}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Виконує одну спробу підписаного запиту через чергу запитів
+   */
+  executeSignedRequest(method, endpoint, params = {}, options = {}) {
+    return this.scheduler.schedule(
+      () => this.sendSignedRequest(method, endpoint, params),
+      {
+        weight: getEndpointWeight(endpoint, params),
+        priority: options.priority ?? getEndpointPriority(method, endpoint),
+        isOrder: endpoint === this.endpoints.order && method === 'POST'
+      }
+    );
+  }
+
+  /**
+   * Підписує запит (реалізує конкретна біржа).
+   * Повертає рядок запиту з підписом та додаткові заголовки
+   * @returns {Promise<{ query: string, headers: Object }>}
+   */
+  async signRequest(method, endpoint, params) {
+    throw new Error(`${this.name}: signRequest() is not implemented`);
+  }
+
+  /**
+   * Підписує та відправляє запит
+   */
+  async sendSignedRequest(method, endpoint, params = {}) {
+    try {
+      // Підписуємо в момент відправки (після очікування в черзі), щоб nonce/timestamp були свіжими
+      const { query, headers = {} } = await this.signRequest(method, endpoint, params);
+
+      const requestConfig = {
+        method,
+        url: query ? `${this.baseURL}${endpoint}?${query}` : `${this.baseURL}${endpoint}`,
+        timeout: config.exchange.requestTimeoutMs,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'User-Agent': 'AsterDexBot/1.0',
+          ...headers
+        }
+      };
+
+      logger.debug(`${this.tag} Request: ${method} ${endpoint}`);
+
+      const response = await axios(requestConfig);
+      this.scheduler.updateFromHeaders(response.headers);
+
+      return response.data;
+    } catch (error) {
+      await this.handleApiError(error);
+      throw error;
+    }
+  }
+
+  publicRequest(method, endpoint, params = {}, options = {}) {
+    return this.scheduler.schedule(
+      () => this.sendPublicRequest(method, endpoint, params),
+      {
+        weight: getEndpointWeight(endpoint, params),
+        priority: options.priority ?? getEndpointPriority(method, endpoint)
+      }
+    );
+  }
+
+  async sendPublicRequest(method, endpoint, params = {}) {
+    try {
+      const queryString = Object.keys(params)
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+      
+      const url = queryString 
+        ? `${this.baseURL}${endpoint}?${queryString}`
+        : `${this.baseURL}${endpoint}`;
+
+      const response = await axios({ method, url, timeout: config.exchange.requestTimeoutMs });
+      this.scheduler.updateFromHeaders(response.headers);
+      return response.data;
+    } catch (error) {
+      logger.error(`${this.tag} Public request error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async handleApiError(error) {
+    if (error.response) {
+      const { status, data, headers } = error.response;
+      const code = data?.code;
+      const msg = data?.msg || error.message;
+      const details = { status, code, ...classifyApiError(status, code) };
+
+      this.scheduler.updateFromHeaders(headers);
+
+      logger.error(`${this.tag} API Error ${status}: Code ${code}, Message: ${msg}`);
+
+      // Фільтри символу могли змінитись - оновимо exchangeInfo при наступному запиті
+      if (FILTER_ERROR_CODES.includes(code)) {
+        this.exchangeInfo.invalidate();
+      }
+
+      // -2027: перевищено максимальну позицію для плеча - brackets могли змінитись
+      if (code === -2027) {
+        this.leverageBrackets.clear();
+      }
+
+      if (code === -1021) {
+        throw createApiError(`Time sync error: ${msg}. Please check your system time.`, details);
+      }
+
+      if (code === -429 || code === -1003 || status === 429) {
+        // Зупиняємо всю чергу, а не лише цей запит
+        const retryAfter = parseInt(headers?.['retry-after']);
+        this.scheduler.pause(!isNaN(retryAfter) ? retryAfter * 1000 : 1000);
+        logger.warn(`${this.tag} Rate limit hit`);
+        throw createApiError('Rate limit exceeded, please retry', details);
+      }
+
+      if (code === -2019) {
+        throw createApiError(`Insufficient margin: ${msg}`, details);
+      }
+
+      if (code === -4131) {
+        throw createApiError(`Market order rejected: ${msg}`, details);
+      }
+
+      throw createApiError(`API Error: ${msg} (Code: ${code})`, details);
+    } else {
+      // Таймаут або обрив з'єднання - невідомо чи запит дійшов до біржі
+      logger.error(`${this.tag} Network error: ${error.message}`);
+      throw createApiError(error.message, { code: error.code, retryable: true, ambiguous: true });
+    }
+  }
+
+  async connect() {
+    try {
+      logger.info(`${this.tag} Connecting to ${this.name} API...`);
+      
+      await this.publicRequest('GET', this.endpoints.ping);
+      
+      // Зсув годинника застосовується до nonce / timestamp і періодично оновлюється
+      const timeOffset = await this.syncTime();
+      logger.info(`${this.tag} ✅ Time synced: offset ${timeOffset}ms`);
+      this.startTimeSync();
+      
+      await this.getUSDTBalance();
+
+      // Завантажуємо exchangeInfo один раз при підключенні
+      await this.exchangeInfo.load();
+      
+      this.isConnected = true;
+      logger.info(`${this.tag} ✅ Connected to ${this.name} ${this.testnet ? 'TESTNET' : 'MAINNET'}`);
+      
+      return true;
+    } catch (error) {
+      logger.error(`${this.tag} Connection failed: ${error.message}`);
+      this.isConnected = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Зупиняє фонові задачі клієнта
+   */
+  async disconnect() {
+    this.stopTimeSync();
+    this.isConnected = false;
+  }
+
+  /**
+   * Запис USDT з балансу акаунта або null
+   */
+  async getUSDTAsset() {
+    const response = await this.signedRequest('GET', this.endpoints.balance, {});
+
+    if (!Array.isArray(response)) {
+      throw new Error('Invalid balance response format');
+    }
+
+    const usdtBalance = response.find(item => item.asset === 'USDT');
+
+    if (!usdtBalance) {
+      logger.warn(`${this.tag} USDT not found in wallet`);
+      return null;
+    }
+
+    return usdtBalance;
+  }
+
+  async getUSDTBalance() {
+    try {
+      const usdtBalance = await this.getUSDTAsset();
+      if (!usdtBalance) {
+        return 0;
+      }
+
+      const availableBalance = parseFloat(usdtBalance.availableBalance || usdtBalance.balance || '0');
+      logger.info(`${this.tag} USDT Balance: ${availableBalance} USDT`);
+      
+      return availableBalance;
+    } catch (error) {
+      logger.error(`${this.tag} Error getting balance: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Баланс гаманця USDT разом з маржею відкритих позицій (без нереалізованого P&L)
+   */
+  async getWalletBalance() {
+    try {
+      const usdtBalance = await this.getUSDTAsset();
+      if (!usdtBalance) {
+        return 0;
+      }
+
+      const walletBalance = parseFloat(usdtBalance.balance || usdtBalance.crossWalletBalance || '0');
+      logger.info(`${this.tag} USDT Wallet balance: ${walletBalance} USDT`);
+
+      return walletBalance;
+    } catch (error) {
+      logger.error(`${this.tag} Error getting wallet balance: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getSymbolInfo(symbol) {
+    try {
+      return await this.exchangeInfo.getSymbol(symbol);
+    } catch (error) {
+      logger.error(`${this.tag} Error getting symbol info for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getCurrentPrice(symbol) {
+    try {
+      // Спочатку свіжа ціна з market-data stream, інакше REST
+      const cachedPrice = marketStreamService.getLastPrice(symbol);
+      if (cachedPrice) {
+        logger.info(`${this.tag} Current price for ${symbol}: ${cachedPrice} (stream)`);
+        return cachedPrice;
+      }
+
+      const response = await this.publicRequest('GET', this.endpoints.tickerPrice, { symbol });
+      
+      const price = parseFloat(response.price);
+      logger.info(`${this.tag} Current price for ${symbol}: ${price}`);
+      
+      return price;
+    } catch (error) {
+      logger.error(`${this.tag} Error getting current price for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Свічки символу (остання - поточна, ще не закрита)
+   * @returns {Array} [{ openTime, open, high, low, close, volume, closeTime }]
+   */
+  async getKlines(symbol, interval, limit = 100) {
+    try {
+      const response = await this.publicRequest('GET', this.endpoints.klines, { symbol, interval, limit });
+
+      return response.map(kline => ({
+        openTime: kline[0],
+        open: parseFloat(kline[1]),
+        high: parseFloat(kline[2]),
+        low: parseFloat(kline[3]),
+        close: parseFloat(kline[4]),
+        volume: parseFloat(kline[5]),
+        closeTime: kline[6]
+      }));
+    } catch (error) {
+      logger.error(`${this.tag} Error getting klines for ${symbol} ${interval}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async setLeverage(symbol, leverage) {
+    try {
+      logger.info(`${this.tag} Setting leverage ${leverage}x for ${symbol}...`);
+      
+      const response = await this.signedRequest('POST', this.endpoints.leverage, {
+        symbol,
+        leverage: leverage.toString()
+      });
+
+      logger.info(`${this.tag} ✅ Leverage ${leverage}x set for ${symbol}`);
+      return response;
+    } catch (error) {
+      if (error.message?.includes('leverage not modified') || 
+          error.message?.includes('No need to change leverage')) {
+        logger.info(`${this.tag} ✅ Leverage already ${leverage}x for ${symbol}`);
+        return { leverage, symbol };
+      }
+      
+      logger.error(`${this.tag} Error setting leverage: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Встановлює тип маржі символу (один раз за сесію, далі - з кешу)
+   */
+  async setMarginType(symbol, marginType) {
+    if (this.marginTypes.get(symbol) === marginType) {
+      return { symbol, marginType };
+    }
+
+    try {
+      logger.info(`${this.tag} Setting margin type ${marginType} for ${symbol}...`);
+
+      const response = await this.signedRequest('POST', this.endpoints.marginType, {
+        symbol,
+        marginType
+      });
+
+      this.marginTypes.set(symbol, marginType);
+      logger.info(`${this.tag} ✅ Margin type ${marginType} set for ${symbol}`);
+      return response;
+    } catch (error) {
+      // -4046: "No need to change margin type."
+      if (error.code === -4046) {
+        this.marginTypes.set(symbol, marginType);
+        logger.info(`${this.tag} ✅ Margin type already ${marginType} for ${symbol}`);
+        return { symbol, marginType };
+      }
+
+      logger.error(`${this.tag} Error setting margin type: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Leverage brackets символу (відсортовані за notionalFloor), кешуються на exchangeInfoTtlMs
+   * @returns {Array} [{ bracket, initialLeverage, notionalCap, notionalFloor, maintMarginRatio, cum }]
+   */
+  async getLeverageBrackets(symbol) {
+    const cached = this.leverageBrackets.get(symbol);
+    if (cached && Date.now() - cached.loadedAt < config.exchange.exchangeInfoTtlMs) {
+      return cached.brackets;
+    }
+
+    try {
+      const response = await this.signedRequest('GET', this.endpoints.leverageBracket, { symbol });
+
+      // Binance повертає масив, деякі версії API - один об'єкт для symbol
+      const entry = Array.isArray(response)
+        ? response.find(item => item.symbol === symbol)
+        : response;
+
+      if (!entry || !Array.isArray(entry.brackets)) {
+        throw new Error(`No leverage brackets for ${symbol}`);
+      }
+
+      const brackets = entry.brackets
+        .map(b => ({
+          bracket: parseInt(b.bracket),
+          initialLeverage: parseFloat(b.initialLeverage),
+          notionalCap: parseFloat(b.notionalCap),
+          notionalFloor: parseFloat(b.notionalFloor),
+          maintMarginRatio: parseFloat(b.maintMarginRatio),
+          cum: parseFloat(b.cum || '0')
+        }))
+        .sort((a, b) => a.notionalFloor - b.notionalFloor);
+
+      this.leverageBrackets.set(symbol, { brackets, loadedAt: Date.now() });
+      logger.info(`${this.tag} Loaded ${brackets.length} leverage brackets for ${symbol}`);
+
+      return brackets;
+    } catch (error) {
+      // Якщо оновлення не вдалось - працюємо зі старим кешем
+      if (cached) {
+        logger.warn(`${this.tag} Leverage brackets refresh failed for ${symbol}, using cached data: ${error.message}`);
+        return cached.brackets;
+      }
+
+      logger.error(`${this.tag} Error getting leverage brackets for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Режим позицій акаунта: true - HEDGE (dual side), false - ONE_WAY
+   */
+  async getDualSidePosition() {
+    try {
+      const response = await this.signedRequest('GET', this.endpoints.positionMode, {});
+      return response.dualSidePosition === true || response.dualSidePosition === 'true';
+    } catch (error) {
+      logger.error(`${this.tag} Error getting position mode: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async openMarketOrder(symbol, side, quantity, positionSide = 'BOTH', clientOrderId = null) {
+    try {
+      logger.info(`${this.tag} Opening ${side} market order: ${quantity} ${symbol}...`);
+      
+      const params = {
+        symbol,
+        side,
+        type: 'MARKET',
+        quantity: quantity.toString(),
+        positionSide,
+        newClientOrderId: clientOrderId || buildClientOrderId('E', symbol, side, Date.now()),
+        ...this.marketOrderParams
+      };
+
+      const response = await this.signedRequest('POST', this.endpoints.order, params);
+
+      const orderId = response.orderId;
+      const avgPrice = parseFloat(response.avgPrice || '0');
+      
+      logger.info(`${this.tag} ✅ Market order opened: Order ID ${orderId}, Avg Price: ${avgPrice}`);
+      
+      return {
+        orderId,
+        clientOrderId: response.clientOrderId || params.newClientOrderId,
+        symbol,
+        side,
+        quantity,
+        avgPrice,
+        status: response.status
+      };
+    } catch (error) {
+      logger.error(`${this.tag} Error opening market order: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async closePositionMarket(symbol, side, quantity, positionSide = 'BOTH', clientOrderId = null) {
+    try {
+      const closeSide = side === 'BUY' ? 'SELL' : 'BUY';
+      logger.info(`${this.tag} Closing position with ${closeSide} market order: ${quantity} ${symbol}...`);
+
+      const params = {
+        symbol,
+        side: closeSide,
+        type: 'MARKET',
+        quantity: quantity.toString(),
+        positionSide,
+        newClientOrderId: clientOrderId || buildClientOrderId('C', symbol, closeSide, Date.now()),
+        ...this.marketOrderParams
+      };
+
+      // В HEDGE режимі reduceOnly не приймається - напрямок задає positionSide
+      if (positionSide === 'BOTH') {
+        params.reduceOnly = 'true';
+      }
+
+      const response = await this.signedRequest('POST', this.endpoints.order, params);
+
+      logger.info(`${this.tag} ✅ Position closed: Order ID ${response.orderId}`);
+
+      return {
+        orderId: response.orderId,
+        clientOrderId: response.clientOrderId || params.newClientOrderId,
+        symbol,
+        side: closeSide,
+        quantity,
+        avgPrice: parseFloat(response.avgPrice || '0'),
+        status: response.status
+      };
+    } catch (error) {
+      logger.error(`${this.tag} Error closing position: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async setTakeProfit(symbol, side, price, quantity, positionSide = 'BOTH', clientOrderId = null) {
+    try {
+      logger.info(`${this.tag} Setting Take Profit: @ ${price} for ${symbol}...`);
+      
+      const tpSide = side === 'BUY' ? 'SELL' : 'BUY';
+      
+      const params = {
+        symbol,
+        side: tpSide,
+        positionSide,
+        type: 'TAKE_PROFIT',
+        quantity: quantity.toString(),
+        price: price.toString(),
+        stopPrice: price.toString(),
+        timeInForce: 'GTC',
+        workingType: 'CONTRACT_PRICE',
+        newClientOrderId: clientOrderId || buildClientOrderId('TP', symbol, tpSide, Date.now())
+      };
+
+      const response = await this.signedRequest('POST', this.endpoints.order, params);
+
+      logger.info(`${this.tag} ✅ Take Profit set: Order ID ${response.orderId}`);
+      
+      return {
+        orderId: response.orderId,
+        clientOrderId: response.clientOrderId || params.newClientOrderId,
+        price,
+        type: 'TAKE_PROFIT'
+      };
+    } catch (error) {
+      logger.error(`${this.tag} Error setting Take Profit: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async setStopLoss(symbol, side, price, quantity, positionSide = 'BOTH', clientOrderId = null) {
+    try {
+      logger.info(`${this.tag} Setting Stop Loss: @ ${price} for ${symbol}...`);
+      
+      const slSide = side === 'BUY' ? 'SELL' : 'BUY';
+      
+      const params = {
+        symbol,
+        side: slSide,
+        positionSide,
+        type: 'STOP',
+        quantity: quantity.toString(),
+        price: price.toString(),
+        stopPrice: price.toString(),
+        timeInForce: 'GTC',
+        workingType: 'CONTRACT_PRICE',
+        newClientOrderId: clientOrderId || buildClientOrderId('SL', symbol, slSide, Date.now())
+      };
+
+      const response = await this.signedRequest('POST', this.endpoints.order, params);
+
+      logger.info(`${this.tag} ✅ Stop Loss set: Order ID ${response.orderId}`);
+      
+      return {
+        orderId: response.orderId,
+        clientOrderId: response.clientOrderId || params.newClientOrderId,
+        price,
+        type: 'STOP'
+      };
+    } catch (error) {
+      logger.error(`${this.tag} Error setting Stop Loss: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getOpenPositions(symbol = null) {
+    try {
+      const params = symbol ? { symbol } : {};
+      const response = await this.signedRequest('GET', this.endpoints.positionRisk, params);
+
+      if (!Array.isArray(response)) {
+        throw new Error('Invalid position response format');
+      }
+
+      const positions = response
+        .filter(pos => Math.abs(parseFloat(pos.positionAmt || '0')) > 0)
+        .map(pos => ({
+          symbol: pos.symbol,
+          positionSide: pos.positionSide,
+          positionAmt: parseFloat(pos.positionAmt || '0'),
+          entryPrice: parseFloat(pos.entryPrice || '0'),
+          markPrice: parseFloat(pos.markPrice || '0'),
+          unRealizedProfit: parseFloat(pos.unRealizedProfit || '0'),
+          liquidationPrice: parseFloat(pos.liquidationPrice || '0'),
+          leverage: parseFloat(pos.leverage || '1'),
+          side: parseFloat(pos.positionAmt || '0') > 0 ? 'LONG' : 'SHORT',
+          size: Math.abs(parseFloat(pos.positionAmt || '0'))
+        }));
+
+      return positions;
+    } catch (error) {
+      logger.error(`${this.tag} Error getting open positions: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getOrder(symbol, orderId) {
+    try {
+      const response = await this.signedRequest('GET', this.endpoints.order, {
+        symbol,
+        orderId: orderId.toString()
+      });
+
+      return {
+        orderId: response.orderId,
+        clientOrderId: response.clientOrderId,
+        symbol: response.symbol,
+        side: response.side,
+        type: response.type,
+        status: response.status,
+        avgPrice: parseFloat(response.avgPrice || '0'),
+        executedQty: parseFloat(response.executedQty || '0'),
+        origQty: parseFloat(response.origQty || '0'),
+        updateTime: response.updateTime
+      };
+    } catch (error) {
+      logger.error(`${this.tag} Error getting order ${orderId} for ${symbol}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async cancelOrder(symbol, orderId) {
+    try {
+      logger.info(`${this.tag} Cancelling order ${orderId} for ${symbol}...`);
+
+      const response = await this.signedRequest('DELETE', this.endpoints.order, {
+        symbol,
+        orderId: orderId.toString()
+      });
+
+      logger.info(`${this.tag} ✅ Order ${orderId} cancelled`);
+      return response;
+    } catch (error) {
+      // -2011: ордер вже виконаний або скасований
+      if (error.code === -2011 || error.message?.includes('Unknown order')) {
+        logger.info(`${this.tag} Order ${orderId} already closed on exchange`);
+        return null;
+      }
+
+      logger.error(`${this.tag} Error cancelling order ${orderId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getOpenOrders(symbol = null) {
+    try {
+      const params = symbol ? { symbol } : {};
+      const response = await this.signedRequest('GET', this.endpoints.openOrders, params);
+
+      if (!Array.isArray(response)) {
+        throw new Error('Invalid open orders response format');
+      }
+
+      return response.map(order => ({
+        orderId: order.orderId,
+        clientOrderId: order.clientOrderId,
+        symbol: order.symbol,
+        side: order.side,
+        positionSide: order.positionSide,
+        type: order.type,
+        status: order.status,
+        price: parseFloat(order.price || '0'),
+        stopPrice: parseFloat(order.stopPrice || '0'),
+        origQty: parseFloat(order.origQty || '0'),
+        executedQty: parseFloat(order.executedQty || '0'),
+        reduceOnly: order.reduceOnly === true,
+        closePosition: order.closePosition === true,
+        time: order.time || order.updateTime
+      }));
+    } catch (error) {
+      logger.error(`${this.tag} Error getting open orders: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async hasOpenPosition(symbol) {
+    const positions = await this.getOpenPositions(symbol);
+    return positions.length > 0;
+  }
+
+  async getTradeHistory(symbol = null, limit = 50, startTime = null) {
+    try {
+      const params = { limit };
+      if (symbol) {
+        params.symbol = symbol;
+      }
+      if (startTime) {
+        params.startTime = startTime;
+      }
+
+      const response = await this.signedRequest('GET', this.endpoints.userTrades, params);
+
+      return Array.isArray(response) ? response : [];
+    } catch (error) {
+      logger.error(`${this.tag} Error getting trade history: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Історія доходів рахунку (FUNDING_FEE, COMMISSION, REALIZED_PNL...)
+   */
+  async getIncomeHistory(symbol = null, incomeType = null, startTime = null, limit = 1000) {
+    try {
+      const params = { limit };
+      if (symbol) {
+        params.symbol = symbol;
+      }
+      if (incomeType) {
+        params.incomeType = incomeType;
+      }
+      if (startTime) {
+        params.startTime = startTime;
+      }
+
+      const response = await this.signedRequest('GET', this.endpoints.income, params);
+
+      return Array.isArray(response) ? response : [];
+    } catch (error) {
+      logger.error(`${this.tag} Error getting income history: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async createListenKey() {
+    try {
+      const response = await this.signedRequest('POST', this.endpoints.listenKey, {});
+      logger.info(`${this.tag} ✅ User data stream listenKey created`);
+      return response.listenKey;
+    } catch (error) {
+      logger.error(`${this.tag} Error creating listenKey: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async keepAliveListenKey() {
+    try {
+      await this.signedRequest('PUT', this.endpoints.listenKey, {});
+      logger.debug(`${this.tag} listenKey keepalive sent`);
+    } catch (error) {
+      logger.error(`${this.tag} Error keeping listenKey alive: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async closeListenKey() {
+    try {
+      await this.signedRequest('DELETE', this.endpoints.listenKey, {});
+      logger.info(`${this.tag} User data stream listenKey closed`);
+    } catch (error) {
+      logger.error(`${this.tag} Error closing listenKey: ${error.message}`);
+      throw error;
+    }
+  }
+
+  getPositionSide(direction) {
+    const mode = config.exchange.positionMode;
+    if (mode === 'HEDGE') {
+      return direction;
+    }
+    return 'BOTH';
+  }
+
+  getOrderSide(direction) {
+    return direction === 'LONG' ? 'BUY' : 'SELL';
+  }
+}
+
+export default ExchangeAdapter;
@@ -0,0 +1,35 @@
+import AsterdexService from './asterdex.service.js';
+import BinanceService from './binance.service.js';
+import PaperExchangeService from './paper.service.js';
+import { config } from '../config/settings.js';
+
+/**
+ * Доступні адаптери бірж (ACCOUNT_EXCHANGE у .env)
+ */
+const EXCHANGE_ADAPTERS = {
+  asterdex: AsterdexService,
+  binance: BinanceService
+};
+
+/**
+ * Створює адаптер біржі акаунта (account.exchange) з його обліковими даними
+ */
+export function createExchangeAdapter(account) {
+  const Adapter = EXCHANGE_ADAPTERS[account.exchange];
+  if (!Adapter) {
+    throw new Error(`Unknown exchange for account ${account.name}: ${account.exchange}`);
+  }
+  return new Adapter(account);
+}
+
+/**
+ * Реальна біржа акаунта: ринкові дані, user-data stream, скрипти
+ */
+export const liveExchange = createExchangeAdapter(config.account);
+
+/**
+ * Біржа, з якою працює бот: у DRY_RUN - паперова поверх ринкових даних liveExchange
+ */
+const exchange = config.trading.dryRun ? new PaperExchangeService(liveExchange) : liveExchange;
+
+export default exchange;
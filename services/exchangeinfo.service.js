@@ -0,0 +1,147 @@
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Коди помилок, пов'язані з фільтрами символу.
+ * Після них exchangeInfo перезавантажується - фільтри могли змінитись
+ */
+export const FILTER_ERROR_CODES = [
+  -1013, // Filter failure
+  -1111, // Precision is over the maximum defined for this asset
+  -4003, // Quantity less than or equal to zero
+  -4014, // Price not increased by tick size
+  -4023, // Quantity not increased by step size
+  -4131, // PERCENT_PRICE filter limit
+  -4164  // Order's notional must be no smaller than MIN_NOTIONAL
+];
+
+/**
+ * Перетворює опис символу з exchangeInfo у зручний формат
+ */
+function parseSymbol(symbolData) {
+  const filters = {};
+  for (const filter of symbolData.filters || []) {
+    filters[filter.filterType] = filter;
+  }
+
+  const priceFilter = filters.PRICE_FILTER;
+  const lotSize = filters.LOT_SIZE;
+  const marketLotSize = filters.MARKET_LOT_SIZE;
+  const minNotional = filters.MIN_NOTIONAL;
+  const percentPrice = filters.PERCENT_PRICE;
+
+  return {
+    symbol: symbolData.symbol,
+    status: symbolData.status || symbolData.contractStatus,
+    baseAsset: symbolData.baseAsset,
+    quoteAsset: symbolData.quoteAsset,
+    pricePrecision: symbolData.pricePrecision || 4,
+    quantityPrecision: symbolData.quantityPrecision || 4,
+    // PRICE_FILTER
+    tickSize: parseFloat(priceFilter?.tickSize || '0.01'),
+    minPrice: parseFloat(priceFilter?.minPrice || '0'),
+    maxPrice: parseFloat(priceFilter?.maxPrice || '0'),
+    // LOT_SIZE
+    stepSize: parseFloat(lotSize?.stepSize || '0.001'),
+    minQty: parseFloat(lotSize?.minQty || '0'),
+    maxQty: parseFloat(lotSize?.maxQty || '999999999'),
+    // MARKET_LOT_SIZE (якщо немає - як LOT_SIZE)
+    marketStepSize: parseFloat(marketLotSize?.stepSize || lotSize?.stepSize || '0.001'),
+    marketMinQty: parseFloat(marketLotSize?.minQty || lotSize?.minQty || '0'),
+    marketMaxQty: parseFloat(marketLotSize?.maxQty || lotSize?.maxQty || '999999999'),
+    // MIN_NOTIONAL
+    minNotional: parseFloat(minNotional?.notional || minNotional?.minNotional || '0'),
+    // PERCENT_PRICE
+    multiplierUp: parseFloat(percentPrice?.multiplierUp || '0'),
+    multiplierDown: parseFloat(percentPrice?.multiplierDown || '0'),
+    // Оригінальні фільтри (рядки без втрати точності)
+    filters
+  };
+}
+
+/**
+ * Реєстр метаданих символів: завантажує exchangeInfo один раз
+ * і оновлює його по TTL або після помилок фільтрів
+ */
+class ExchangeInfoService {
+  /**
+   * @param {Function} loader - async функція, що повертає документ exchangeInfo
+   * @param {number} ttlMs - час життя кешу
+   */
+  constructor(loader, ttlMs = config.exchange.exchangeInfoTtlMs) {
+    this.loader = loader;
+    this.ttlMs = ttlMs;
+    this.symbols = new Map();
+    this.loadedAt = 0;
+    this.pendingLoad = null;
+  }
+
+  /**
+   * Чи потрібно перезавантажити exchangeInfo
+   */
+  isStale() {
+    return this.symbols.size === 0 || Date.now() - this.loadedAt > this.ttlMs;
+  }
+
+  /**
+   * Завантажує exchangeInfo (паралельні виклики чекають один запит)
+   */
+  async load(force = false) {
+    if (!force && !this.isStale()) {
+      return;
+    }
+
+    if (!this.pendingLoad) {
+      this.pendingLoad = (async () => {
+        try {
+          const response = await this.loader();
+          const symbols = new Map();
+
+          for (const symbolData of response.symbols || []) {
+            symbols.set(symbolData.symbol, parseSymbol(symbolData));
+          }
+
+          this.symbols = symbols;
+          this.loadedAt = Date.now();
+          logger.info(`[EXCHANGE INFO] Loaded ${symbols.size} symbols`);
+        } finally {
+          this.pendingLoad = null;
+        }
+      })();
+    }
+
+    await this.pendingLoad;
+  }
+
+  /**
+   * Отримує метадані символу
+   */
+  async getSymbol(symbol) {
+    try {
+      await this.load();
+    } catch (error) {
+      // Якщо оновлення не вдалось - працюємо зі старим кешем
+      if (this.symbols.size === 0) {
+        throw error;
+      }
+      logger.warn(`[EXCHANGE INFO] Refresh failed, using cached data: ${error.message}`);
+    }
+
+    const info = this.symbols.get(symbol);
+    if (!info) {
+      throw new Error(`Symbol ${symbol} not found`);
+    }
+
+    return info;
+  }
+
+  /**
+   * Позначає кеш застарілим (наступний запит перезавантажить exchangeInfo)
+   */
+  invalidate() {
+    this.loadedAt = 0;
+    logger.info('[EXCHANGE INFO] Cache invalidated');
+  }
+}
+
+export default ExchangeInfoService;
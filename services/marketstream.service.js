@@ -0,0 +1,211 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+
+/**
+ * Назви stream'ів для символу: mark price (1s) та last price (miniTicker)
+ */
+function getStreamNames(symbol) {
+  const lower = symbol.toLowerCase();
+  return [`${lower}@markPrice@1s`, `${lower}@miniTicker`];
+}
+
+/**
+ * Клієнт market-data stream AsterDex з кешем цін.
+ * Події: 'price' ({ symbol, markPrice, lastPrice })
+ */
+class MarketStreamService extends EventEmitter {
+  constructor() {
+    super();
+    this.ws = null;
+    this.symbols = new Set();
+    this.prices = new Map(); // symbol -> { markPrice, markTime, lastPrice, lastTime }
+    this.reconnectTimeout = null;
+    this.reconnectAttempts = 0;
+    this.requestId = 0;
+    this.isConnected = false;
+    this.isStopped = true;
+  }
+
+  /**
+   * Запускає stream для вказаних символів
+   */
+  start(symbols = []) {
+    if (!this.isStopped) {
+      logger.warn('[MARKET STREAM] Already running');
+      return;
+    }
+
+    symbols.forEach(symbol => this.symbols.add(symbol.toUpperCase()));
+    this.isStopped = false;
+    this.connect();
+  }
+
+  /**
+   * Відкриває WebSocket та підписується на всі символи
+   */
+  connect() {
+    logger.info(`[MARKET STREAM] Connecting (${this.symbols.size} symbols)...`);
+
+    this.ws = new WebSocket(`${config[config.account.exchange].wsURL}/stream`);
+
+    this.ws.on('open', () => {
+      this.isConnected = true;
+      this.reconnectAttempts = 0;
+      logger.info('[MARKET STREAM] ✅ Connected');
+      this.sendSubscription('SUBSCRIBE', Array.from(this.symbols));
+    });
+
+    this.ws.on('message', (data) => this.handleMessage(data));
+
+    this.ws.on('ping', () => {
+      this.ws?.pong();
+    });
+
+    this.ws.on('close', (code) => {
+      if (this.isConnected) {
+        logger.warn(`[MARKET STREAM] Disconnected (code ${code})`);
+      }
+      this.isConnected = false;
+
+      if (!this.isStopped) {
+        this.scheduleReconnect();
+      }
+    });
+
+    this.ws.on('error', (error) => {
+      logger.error(`[MARKET STREAM] WebSocket error: ${error.message}`);
+    });
+  }
+
+  /**
+   * Надсилає SUBSCRIBE / UNSUBSCRIBE для символів
+   */
+  sendSubscription(method, symbols) {
+    if (!this.isConnected || symbols.length === 0) {
+      return;
+    }
+
+    this.ws.send(JSON.stringify({
+      method,
+      params: symbols.flatMap(getStreamNames),
+      id: ++this.requestId
+    }));
+  }
+
+  /**
+   * Додає символ до підписки (напр. для нової відкритої позиції)
+   */
+  subscribe(symbol) {
+    const upper = symbol.toUpperCase();
+    if (this.symbols.has(upper)) {
+      return;
+    }
+
+    this.symbols.add(upper);
+    this.sendSubscription('SUBSCRIBE', [upper]);
+    logger.info(`[MARKET STREAM] Subscribed to ${upper}`);
+  }
+
+  /**
+   * Обробляє повідомлення combined stream
+   */
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      logger.error(`[MARKET STREAM] Invalid message: ${error.message}`);
+      return;
+    }
+
+    const event = message.data;
+    if (!event?.s) {
+      return;
+    }
+
+    const entry = this.prices.get(event.s) || {};
+    const now = Date.now();
+
+    if (event.e === 'markPriceUpdate') {
+      entry.markPrice = parseFloat(event.p);
+      entry.markTime = now;
+    } else if (event.e === '24hrMiniTicker') {
+      entry.lastPrice = parseFloat(event.c);
+      entry.lastTime = now;
+    } else {
+      return;
+    }
+
+    this.prices.set(event.s, entry);
+    this.emit('price', { symbol: event.s, markPrice: entry.markPrice, lastPrice: entry.lastPrice });
+  }
+
+  /**
+   * Остання ціна угоди з кешу, або null якщо кеш застарів
+   */
+  getLastPrice(symbol, maxAgeMs = config.exchange.priceMaxAgeMs) {
+    const entry = this.prices.get(symbol);
+    if (!this.isConnected || !entry?.lastTime || Date.now() - entry.lastTime > maxAgeMs) {
+      return null;
+    }
+    return entry.lastPrice;
+  }
+
+  /**
+   * Mark price з кешу, або null якщо кеш застарів
+   */
+  getMarkPrice(symbol, maxAgeMs = config.exchange.priceMaxAgeMs) {
+    const entry = this.prices.get(symbol);
+    if (!this.isConnected || !entry?.markTime || Date.now() - entry.markTime > maxAgeMs) {
+      return null;
+    }
+    return entry.markPrice;
+  }
+
+  /**
+   * Планує перепідключення з експоненційною затримкою
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimeout) {
+      return;
+    }
+
+    const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), MAX_RECONNECT_DELAY_MS);
+    this.reconnectAttempts++;
+
+    logger.info(`[MARKET STREAM] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   * Зупиняє stream
+   */
+  stop() {
+    this.isStopped = true;
+
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+
+    if (this.ws) {
+      this.ws.terminate();
+      this.ws = null;
+    }
+
+    this.isConnected = false;
+    logger.info('[MARKET STREAM] Stopped');
+  }
+}
+
+// Експортуємо singleton
+const marketStreamService = new MarketStreamService();
+export default marketStreamService;
@@ -0,0 +1,188 @@
+import {
+  floorToStep,
+  ceilToStep,
+  roundToStep,
+  addDecimal,
+  multiplyDecimal,
+  compareDecimal
+} from '../utils/decimal.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Параметри LOT_SIZE / MARKET_LOT_SIZE як рядки
+ */
+function getLotSize(symbolInfo, isMarket) {
+  const filters = symbolInfo.filters || {};
+  const lotSize = (isMarket && filters.MARKET_LOT_SIZE) || filters.LOT_SIZE || {};
+
+  return {
+    stepSize: lotSize.stepSize || String(symbolInfo.stepSize || '0.001'),
+    minQty: lotSize.minQty || String(symbolInfo.minQty || '0'),
+    maxQty: lotSize.maxQty || String(symbolInfo.maxQty || '999999999')
+  };
+}
+
+/**
+ * tickSize з PRICE_FILTER як рядок
+ */
+function getTickSize(symbolInfo) {
+  return symbolInfo.filters?.PRICE_FILTER?.tickSize || String(symbolInfo.tickSize || '0.0001');
+}
+
+/**
+ * Округлення TP/SL у захисному напрямку - ближче до ціни входу:
+ * SL не віддаляється (ризик не росте), TP не віддаляється (виконується раніше)
+ */
+export function getProtectiveRounding(direction, orderKind) {
+  if (orderKind === 'STOP_LOSS') {
+    return direction === 'LONG' ? 'UP' : 'DOWN';
+  }
+  return direction === 'LONG' ? 'DOWN' : 'UP';
+}
+
+/**
+ * Округлює кількість вниз до stepSize та обмежує maxQty
+ * @returns {string}
+ */
+export function normalizeQuantity(quantity, symbolInfo, isMarket = true) {
+  const { stepSize, maxQty } = getLotSize(symbolInfo, isMarket);
+
+  let normalized = floorToStep(quantity, stepSize);
+  if (compareDecimal(normalized, maxQty) > 0) {
+    normalized = floorToStep(maxQty, stepSize);
+  }
+
+  return normalized;
+}
+
+/**
+ * Округлює ціну до tickSize ('DOWN' | 'UP' | 'HALF_UP')
+ * @returns {string}
+ */
+export function normalizePrice(price, symbolInfo, rounding = 'HALF_UP') {
+  return roundToStep(price, getTickSize(symbolInfo), rounding);
+}
+
+/**
+ * Приводить параметри входу з TP/SL до фільтрів біржі.
+ * Збільшення кількості до minQty / minNotional (а з ним і ризику) допускається
+ * не більше ніж на maxUpsizePercent, інакше - помилка
+ * Повертає точні рядки для openMarketOrder / setTakeProfit / setStopLoss
+ */
+export function normalizeOrderParams({ direction, entryPrice, quantity, stopLoss, takeProfit }, symbolInfo, { maxUpsizePercent = 0 } = {}) {
+  const { stepSize, minQty, maxQty } = getLotSize(symbolInfo, true);
+  const tickSize = getTickSize(symbolInfo);
+  const minNotional = String(symbolInfo.minNotional || '0');
+
+  const normalizedEntry = normalizePrice(entryPrice, symbolInfo);
+  let normalizedQuantity = normalizeQuantity(quantity, symbolInfo, true);
+
+  // MARKET_LOT_SIZE minQty
+  if (compareDecimal(normalizedQuantity, minQty) < 0) {
+    logger.warn(`[NORMALIZER] Quantity ${normalizedQuantity} is less than minimum (${minQty}). Using minimum.`);
+    normalizedQuantity = ceilToStep(minQty, stepSize);
+  }
+
+  // MIN_NOTIONAL: мінімальна кількість, кратна stepSize
+  if (compareDecimal(multiplyDecimal(normalizedQuantity, normalizedEntry), minNotional) < 0) {
+    let notionalQuantity = ceilToStep(Number(minNotional) / Number(normalizedEntry), stepSize);
+    if (compareDecimal(multiplyDecimal(notionalQuantity, normalizedEntry), minNotional) < 0) {
+      notionalQuantity = addDecimal(notionalQuantity, stepSize);
+    }
+
+    logger.warn(`[NORMALIZER] Notional below minimum (${minNotional}). Quantity ${normalizedQuantity} -> ${notionalQuantity}`);
+    normalizedQuantity = notionalQuantity;
+  }
+
+  if (compareDecimal(normalizedQuantity, maxQty) > 0) {
+    throw new Error(`Quantity ${normalizedQuantity} required by filters exceeds maximum (${maxQty})`);
+  }
+
+  // Збиток на SL пропорційний кількості - на стільки ж перевищується ризик
+  const upsizePercent = (Number(normalizedQuantity) / Number(quantity) - 1) * 100;
+  if (upsizePercent > maxUpsizePercent + 1e-9) {
+    throw new Error(`Quantity ${normalizedQuantity} required by filters exceeds risk-sized ${quantity} by ${upsizePercent.toFixed(2)}% (tolerance ${maxUpsizePercent}%)`);
+  }
+
+  const normalizedStopLoss = normalizePrice(stopLoss, symbolInfo, getProtectiveRounding(direction, 'STOP_LOSS'));
+  const normalizedTakeProfit = normalizePrice(takeProfit, symbolInfo, getProtectiveRounding(direction, 'TAKE_PROFIT'));
+
+  // Після округлення SL/TP мають залишатись по правильний бік від входу
+  const slSide = compareDecimal(normalizedStopLoss, normalizedEntry);
+  const tpSide = compareDecimal(normalizedTakeProfit, normalizedEntry);
+  if ((direction === 'LONG' && (slSide >= 0 || tpSide <= 0)) ||
+      (direction === 'SHORT' && (slSide <= 0 || tpSide >= 0))) {
+    throw new Error(`TP/SL too close to entry for tick size ${tickSize}: TP ${normalizedTakeProfit}, SL ${normalizedStopLoss}, entry ${normalizedEntry}`);
+  }
+
+  return {
+    entryPrice: normalizedEntry,
+    quantity: normalizedQuantity,
+    stopLoss: normalizedStopLoss,
+    takeProfit: normalizedTakeProfit,
+    notional: multiplyDecimal(normalizedQuantity, normalizedEntry)
+  };
+}
+
+/**
+ * Розбиває кількість позиції на рівні ступінчастого TP (LOT_SIZE лімітних ордерів).
+ * Рівень, менший за minQty, переноситься в наступний; якщо сума часток 100% -
+ * останній рівень отримує весь залишок, інакше залишок лишається runner'ом.
+ * Повертає [] якщо жоден рівень не проходить фільтри
+ * @returns {Array} [{ level, sizePercent, profitPercent, price, quantity }] (price/quantity - рядки)
+ */
+export function normalizeTakeProfitLadder(levels, { direction, entryPrice, quantity }, symbolInfo) {
+  const { stepSize, minQty } = getLotSize(symbolInfo, false);
+  const side = direction === 'LONG' ? 1 : -1;
+  const closesAll = Math.abs(levels.reduce((sum, level) => sum + level.sizePercent, 0) - 100) < 1e-9;
+
+  const ladder = [];
+  let remaining = String(quantity);
+  let carryPercent = 0;
+
+  levels.forEach((level, i) => {
+    const isLast = i === levels.length - 1;
+    const sizePercent = level.sizePercent + carryPercent;
+    const levelQuantity = isLast && closesAll
+      ? remaining
+      : floorToStep(multiplyDecimal(quantity, sizePercent / 100), stepSize);
+
+    if (compareDecimal(levelQuantity, minQty) < 0 || compareDecimal(levelQuantity, '0') <= 0) {
+      logger.warn(`[NORMALIZER] TP level ${i + 1} quantity ${levelQuantity} is less than minimum (${minQty}), merged into next level`);
+      carryPercent = sizePercent;
+      return;
+    }
+
+    // Точна арифметика: float (100 * 1.005 = 100.49999...) зсунув би ціну на тік
+    const offset = multiplyDecimal(level.profitPercent, side / 100);
+    const price = normalizePrice(
+      multiplyDecimal(entryPrice, addDecimal('1', offset)),
+      symbolInfo,
+      getProtectiveRounding(direction, 'TAKE_PROFIT')
+    );
+    if (side * compareDecimal(price, entryPrice) <= 0) {
+      throw new Error(`TP level ${i + 1} too close to entry for tick size ${getTickSize(symbolInfo)}: ${price}, entry ${entryPrice}`);
+    }
+
+    carryPercent = 0;
+    remaining = addDecimal(remaining, `-${levelQuantity}`);
+    ladder.push({ level: ladder.length + 1, sizePercent, profitPercent: level.profitPercent, price, quantity: levelQuantity });
+  });
+
+  // Залишок після останнього рівня замалий для ордера - додаємо до попереднього
+  if (closesAll && carryPercent > 0 && ladder.length > 0) {
+    const last = ladder[ladder.length - 1];
+    last.quantity = addDecimal(last.quantity, remaining);
+    last.sizePercent += carryPercent;
+  }
+
+  return ladder;
+}
+
+export default {
+  getProtectiveRounding,
+  normalizeQuantity,
+  normalizePrice,
+  normalizeOrderParams,
+  normalizeTakeProfitLadder
+};
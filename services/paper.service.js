@@ -0,0 +1,512 @@
+import fs from 'fs';
+import marketStreamService from './marketstream.service.js';
+import stateService from './state.service.js';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+const MAX_HISTORY = 500;
+
+/**
+ * Віртуальний рахунок за замовчуванням
+ */
+function createDefaultAccount() {
+  return {
+    balance: config.paper.startBalance,
+    positions: {}, // `${symbol}:${positionSide}` -> { amount, entryPrice, leverage }
+    orders: [],
+    trades: [],
+    leverage: {},
+    nextOrderId: 1,
+    nextTradeId: 1
+  };
+}
+
+/**
+ * Паперова біржа для DRY_RUN: той самий інтерфейс, що й адаптери бірж,
+ * але ордери виконуються віртуально за живими (або записаними) цінами
+ * @param {ExchangeAdapter} marketData - реальна біржа для метаданих символів та цін
+ */
+class PaperExchangeService {
+  constructor(marketData) {
+    this.marketData = marketData;
+    this.account = null;
+    this.isConnected = false;
+    this.tickInterval = null;
+    this.recordedPrices = null; // symbol -> [prices]
+    this.replayIndex = 0;
+  }
+
+  async connect() {
+    logger.info('[PAPER] Connecting paper exchange...');
+
+    stateService.load();
+    this.account = stateService.get('paperAccount') || createDefaultAccount();
+
+    if (config.paper.priceFile) {
+      this.recordedPrices = JSON.parse(fs.readFileSync(config.paper.priceFile, 'utf8'));
+      logger.info(`[PAPER] Replaying recorded prices from ${config.paper.priceFile}`);
+    } else {
+      // Метадані символів та живі ціни беремо з публічного API
+      await this.marketData.exchangeInfo.load();
+      marketStreamService.on('price', ({ symbol, lastPrice }) => {
+        if (lastPrice) {
+          this.processPrice(symbol, lastPrice);
+        }
+      });
+    }
+
+    this.tickInterval = setInterval(() => this.tick(), config.paper.tickMs);
+
+    this.isConnected = true;
+    logger.info(`[PAPER] ✅ Paper exchange ready, balance: ${this.account.balance.toFixed(2)} USDT`);
+    return true;
+  }
+
+  async disconnect() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+    this.isConnected = false;
+  }
+
+  getStatus() {
+    return {
+      isConnected: this.isConnected,
+      network: 'PAPER',
+      timeOffset: 0,
+      lastTimeSync: 0
+    };
+  }
+
+  /**
+   * Зберігає віртуальний рахунок
+   */
+  save() {
+    // Обмежуємо історію, щоб файл стану не ріс безкінечно
+    const closedOrders = this.account.orders.filter(o => o.status !== 'NEW');
+    if (closedOrders.length > MAX_HISTORY) {
+      const stale = new Set(closedOrders.slice(0, closedOrders.length - MAX_HISTORY));
+      this.account.orders = this.account.orders.filter(o => !stale.has(o));
+    }
+    this.account.trades = this.account.trades.slice(-MAX_HISTORY);
+
+    stateService.set('paperAccount', this.account);
+  }
+
+  /**
+   * Перевіряє умовні ордери для символів з активними ордерами
+   */
+  async tick() {
+    if (this.recordedPrices) {
+      this.replayIndex++;
+    }
+
+    const symbols = new Set(this.account.orders.filter(o => o.status === 'NEW').map(o => o.symbol));
+
+    for (const symbol of symbols) {
+      try {
+        this.processPrice(symbol, await this.getCurrentPrice(symbol));
+      } catch (error) {
+        logger.error(`[PAPER] Error updating price for ${symbol}: ${error.message}`);
+      }
+    }
+  }
+
+  async getUSDTBalance() {
+    // Доступний баланс = баланс гаманця мінус маржа відкритих позицій
+    const usedMargin = Object.values(this.account.positions)
+      .reduce((sum, p) => sum + (Math.abs(p.amount) * p.entryPrice) / p.leverage, 0);
+
+    const available = this.account.balance - usedMargin;
+    logger.info(`[PAPER] USDT Balance: ${available.toFixed(4)} USDT`);
+    return available;
+  }
+
+  async getWalletBalance() {
+    logger.info(`[PAPER] USDT Wallet balance: ${this.account.balance.toFixed(4)} USDT`);
+    return this.account.balance;
+  }
+
+  async getSymbolInfo(symbol) {
+    return this.marketData.getSymbolInfo(symbol);
+  }
+
+  async getCurrentPrice(symbol) {
+    if (this.recordedPrices) {
+      const prices = this.recordedPrices[symbol];
+      if (!prices || prices.length === 0) {
+        throw new Error(`No recorded prices for ${symbol}`);
+      }
+      return prices[Math.min(this.replayIndex, prices.length - 1)];
+    }
+
+    return this.marketData.getCurrentPrice(symbol);
+  }
+
+  async getKlines(symbol, interval, limit = 100) {
+    // Записані ціни не містять свічок
+    if (this.recordedPrices) {
+      return [];
+    }
+    return this.marketData.getKlines(symbol, interval, limit);
+  }
+
+  async setLeverage(symbol, leverage) {
+    this.account.leverage[symbol] = leverage;
+    this.save();
+    logger.info(`[PAPER] Leverage ${leverage}x set for ${symbol}`);
+    return { symbol, leverage };
+  }
+
+  async setMarginType(symbol, marginType) {
+    // Віртуальні позиції не ліквідуються - тип маржі лише для сумісності
+    logger.info(`[PAPER] Margin type ${marginType} set for ${symbol}`);
+    return { symbol, marginType };
+  }
+
+  async getLeverageBrackets(symbol) {
+    if (this.recordedPrices) {
+      return [];
+    }
+
+    // Brackets - USER_DATA endpoint; без ключів працюємо без обмеження notional
+    try {
+      return await this.marketData.getLeverageBrackets(symbol);
+    } catch (error) {
+      logger.warn(`[PAPER] Leverage brackets unavailable for ${symbol}: ${error.message}`);
+      return [];
+    }
+  }
+
+  async getDualSidePosition() {
+    return config.exchange.positionMode === 'HEDGE';
+  }
+
+  /**
+   * Ціна market ордера з урахуванням прослизання (завжди проти нас)
+   */
+  applySlippage(price, side) {
+    const slippage = config.paper.slippagePercent / 100;
+    return side === 'BUY' ? price * (1 + slippage) : price * (1 - slippage);
+  }
+
+  /**
+   * Виконує ордер: оновлює позицію, баланс та історію угод
+   */
+  fillOrder(order, price, isMaker) {
+    const key = `${order.symbol}:${order.positionSide}`;
+    const position = this.account.positions[key] || {
+      amount: 0,
+      entryPrice: 0,
+      leverage: this.account.leverage[order.symbol] || config.risk.leverage
+    };
+    const signedQty = order.side === 'BUY' ? order.quantity : -order.quantity;
+
+    let realizedPnl = 0;
+    if (position.amount !== 0 && Math.sign(position.amount) !== Math.sign(signedQty)) {
+      const closedQty = Math.min(Math.abs(signedQty), Math.abs(position.amount));
+      realizedPnl = (price - position.entryPrice) * closedQty * Math.sign(position.amount);
+
+      const remaining = position.amount + signedQty;
+      if (remaining !== 0 && Math.sign(remaining) !== Math.sign(position.amount)) {
+        position.entryPrice = price;
+      }
+      position.amount = remaining;
+    } else {
+      const newAmount = position.amount + signedQty;
+      position.entryPrice = (position.entryPrice * Math.abs(position.amount) + price * Math.abs(signedQty)) / Math.abs(newAmount);
+      position.amount = newAmount;
+    }
+
+    if (Math.abs(position.amount) < 1e-12) {
+      delete this.account.positions[key];
+    } else {
+      this.account.positions[key] = position;
+    }
+
+    const feeRate = (isMaker ? config.paper.makerFeePercent : config.paper.takerFeePercent) / 100;
+    const commission = price * order.quantity * feeRate;
+    this.account.balance += realizedPnl - commission;
+
+    this.account.trades.push({
+      id: this.account.nextTradeId++,
+      symbol: order.symbol,
+      orderId: order.orderId,
+      side: order.side,
+      positionSide: order.positionSide,
+      price: String(price),
+      qty: String(order.quantity),
+      quoteQty: String(price * order.quantity),
+      realizedPnl: String(realizedPnl),
+      commission: String(commission),
+      commissionAsset: 'USDT',
+      buyer: order.side === 'BUY',
+      maker: isMaker,
+      time: Date.now()
+    });
+
+    order.status = 'FILLED';
+    order.executedQty = order.quantity;
+    order.avgPrice = price;
+    order.updateTime = Date.now();
+
+    logger.info(`[PAPER] ${order.symbol}: ${order.type} ${order.side} ${order.quantity} filled @ ${price} (P&L ${realizedPnl.toFixed(4)}, fee ${commission.toFixed(4)})`);
+  }
+
+  /**
+   * Перевіряє спрацювання TP/SL при новій ціні
+   */
+  processPrice(symbol, price) {
+    let changed = false;
+
+    for (const order of this.account.orders) {
+      if (order.symbol !== symbol || order.status !== 'NEW') continue;
+
+      const isTakeProfit = order.type.startsWith('TAKE_PROFIT');
+      const triggered = order.side === 'SELL'
+        ? (isTakeProfit ? price >= order.stopPrice : price <= order.stopPrice)
+        : (isTakeProfit ? price <= order.stopPrice : price >= order.stopPrice);
+
+      if (!triggered) continue;
+      changed = true;
+
+      // TP/SL - reduce-only: без позиції відповідного напрямку ордер згорає
+      const position = this.account.positions[`${symbol}:${order.positionSide}`];
+      const closesPosition = position && Math.sign(position.amount) === (order.side === 'SELL' ? 1 : -1);
+      if (!closesPosition) {
+        order.status = 'EXPIRED';
+        order.updateTime = Date.now();
+        logger.info(`[PAPER] ${symbol}: ${order.type} order ${order.orderId} expired (no position to reduce)`);
+        continue;
+      }
+      order.quantity = Math.min(order.quantity, Math.abs(position.amount));
+
+      // TP - лімітний ордер за своєю ціною (maker), SL - по ринку з прослизанням (taker)
+      if (isTakeProfit) {
+        this.fillOrder(order, order.price || order.stopPrice, true);
+      } else {
+        this.fillOrder(order, this.applySlippage(price, order.side), false);
+      }
+    }
+
+    if (changed) {
+      this.save();
+    }
+  }
+
+  /**
+   * Створює віртуальний ордер
+   */
+  createOrder(params) {
+    const order = {
+      orderId: this.account.nextOrderId++,
+      clientOrderId: params.clientOrderId || `paper_${Date.now()}`,
+      symbol: params.symbol,
+      side: params.side,
+      positionSide: params.positionSide || 'BOTH',
+      type: params.type,
+      quantity: parseFloat(params.quantity),
+      price: parseFloat(params.price || '0'),
+      stopPrice: parseFloat(params.stopPrice || '0'),
+      status: 'NEW',
+      executedQty: 0,
+      avgPrice: 0,
+      time: Date.now(),
+      updateTime: Date.now()
+    };
+
+    this.account.orders.push(order);
+    return order;
+  }
+
+  async openMarketOrder(symbol, side, quantity, positionSide = 'BOTH', clientOrderId = null) {
+    const price = await this.getCurrentPrice(symbol);
+    const order = this.createOrder({ symbol, side, quantity, positionSide, type: 'MARKET', clientOrderId });
+
+    this.fillOrder(order, this.applySlippage(price, side), false);
+    this.save();
+
+    return {
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      symbol,
+      side,
+      quantity,
+      avgPrice: order.avgPrice,
+      status: order.status
+    };
+  }
+
+  async closePositionMarket(symbol, side, quantity, positionSide = 'BOTH', clientOrderId = null) {
+    const closeSide = side === 'BUY' ? 'SELL' : 'BUY';
+    const position = this.account.positions[`${symbol}:${positionSide}`];
+    const closeQuantity = Math.min(parseFloat(quantity), Math.abs(position?.amount || 0));
+
+    if (closeQuantity === 0) {
+      throw new Error(`API Error: ReduceOnly Order is rejected. (Code: -2022)`);
+    }
+
+    const price = await this.getCurrentPrice(symbol);
+    const order = this.createOrder({ symbol, side: closeSide, quantity: closeQuantity, positionSide, type: 'MARKET', clientOrderId });
+
+    this.fillOrder(order, this.applySlippage(price, closeSide), false);
+    this.save();
+
+    return {
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      symbol,
+      side: closeSide,
+      quantity: closeQuantity,
+      avgPrice: order.avgPrice,
+      status: order.status
+    };
+  }
+
+  async setTakeProfit(symbol, side, price, quantity, positionSide = 'BOTH', clientOrderId = null) {
+    const order = this.createOrder({
+      symbol,
+      side: side === 'BUY' ? 'SELL' : 'BUY',
+      quantity,
+      positionSide,
+      type: 'TAKE_PROFIT',
+      price,
+      stopPrice: price,
+      clientOrderId
+    });
+    this.save();
+
+    logger.info(`[PAPER] Take Profit set: Order ID ${order.orderId} @ ${price}`);
+    return { orderId: order.orderId, clientOrderId: order.clientOrderId, price, type: 'TAKE_PROFIT' };
+  }
+
+  async setStopLoss(symbol, side, price, quantity, positionSide = 'BOTH', clientOrderId = null) {
+    const order = this.createOrder({
+      symbol,
+      side: side === 'BUY' ? 'SELL' : 'BUY',
+      quantity,
+      positionSide,
+      type: 'STOP',
+      price,
+      stopPrice: price,
+      clientOrderId
+    });
+    this.save();
+
+    logger.info(`[PAPER] Stop Loss set: Order ID ${order.orderId} @ ${price}`);
+    return { orderId: order.orderId, clientOrderId: order.clientOrderId, price, type: 'STOP' };
+  }
+
+  findOrder(symbol, orderId) {
+    return this.account.orders.find(o => o.symbol === symbol && String(o.orderId) === String(orderId));
+  }
+
+  async getOrder(symbol, orderId) {
+    const order = this.findOrder(symbol, orderId);
+    if (!order) {
+      throw new Error('API Error: Order does not exist. (Code: -2013)');
+    }
+
+    return {
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      status: order.status,
+      avgPrice: order.avgPrice,
+      executedQty: order.executedQty,
+      origQty: order.quantity,
+      updateTime: order.updateTime
+    };
+  }
+
+  async cancelOrder(symbol, orderId) {
+    const order = this.findOrder(symbol, orderId);
+    if (!order || order.status !== 'NEW') {
+      logger.info(`[PAPER] Order ${orderId} already closed`);
+      return null;
+    }
+
+    order.status = 'CANCELED';
+    order.updateTime = Date.now();
+    this.save();
+
+    logger.info(`[PAPER] Order ${orderId} cancelled`);
+    return { orderId: order.orderId, status: order.status };
+  }
+
+  async getOpenOrders(symbol = null) {
+    return this.account.orders
+      .filter(o => o.status === 'NEW' && (!symbol || o.symbol === symbol))
+      .map(o => ({
+        orderId: o.orderId,
+        clientOrderId: o.clientOrderId,
+        symbol: o.symbol,
+        side: o.side,
+        positionSide: o.positionSide,
+        type: o.type,
+        status: o.status,
+        price: o.price,
+        stopPrice: o.stopPrice,
+        origQty: o.quantity,
+        executedQty: o.executedQty,
+        reduceOnly: false,
+        closePosition: false,
+        time: o.time
+      }));
+  }
+
+  async getOpenPositions(symbol = null) {
+    const positions = [];
+
+    for (const [key, position] of Object.entries(this.account.positions)) {
+      const [positionSymbol, positionSide] = key.split(':');
+      if (symbol && positionSymbol !== symbol) continue;
+
+      const markPrice = await this.getCurrentPrice(positionSymbol);
+
+      positions.push({
+        symbol: positionSymbol,
+        positionSide,
+        positionAmt: position.amount,
+        entryPrice: position.entryPrice,
+        markPrice,
+        unRealizedProfit: (markPrice - position.entryPrice) * position.amount,
+        liquidationPrice: 0,
+        leverage: position.leverage,
+        side: position.amount > 0 ? 'LONG' : 'SHORT',
+        size: Math.abs(position.amount)
+      });
+    }
+
+    return positions;
+  }
+
+  async hasOpenPosition(symbol) {
+    const positions = await this.getOpenPositions(symbol);
+    return positions.length > 0;
+  }
+
+  async getTradeHistory(symbol = null, limit = 50, startTime = null) {
+    return this.account.trades
+      .filter(t => (!symbol || t.symbol === symbol) && (!startTime || t.time >= startTime))
+      .slice(-limit);
+  }
+
+  async getIncomeHistory(symbol = null, incomeType = null, startTime = null, limit = 1000) {
+    // Funding на паперовому рахунку не нараховується
+    return [];
+  }
+
+  getPositionSide(direction) {
+    return this.marketData.getPositionSide(direction);
+  }
+
+  getOrderSide(direction) {
+    return this.marketData.getOrderSide(direction);
+  }
+}
+
+export default PaperExchangeService;
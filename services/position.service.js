@@ -1,14 +1,191 @@
-import asterdexService from './asterdex.service.js';  // ← ЗМІНЕНО
+import { EventEmitter } from 'events';
+import exchange from './exchange.service.js';
 import telegramService from './telegram.service.js';
+import stateService from './state.service.js';
+import userStreamService from './userstream.service.js';
+import marketStreamService from './marketstream.service.js';
+import volatilityService from './volatility.service.js';
+import { normalizePrice, normalizeQuantity, getProtectiveRounding } from './normalizer.service.js';
+import { addDecimal } from '../utils/decimal.js';
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
-import { calculatePnL, calculatePnLPercent, formatDuration } from '../utils/helpers.js';
+import {
+  calculatePnL,
+  calculatePnLPercent,
+  summarizeFills,
+  formatDuration,
+  retry,
+  isRetryableError,
+  buildClientOrderId,
+  CLIENT_ORDER_PREFIX
+} from '../utils/helpers.js';
 
-class PositionService {
+// Запас для пошуку угод входу (розбіжність годинників, затримка між ордером та моніторингом)
+const FILLS_LOOKBACK_MS = 60 * 1000;
+
+// Повна перевірка позицій через REST навіть при активному user-data stream
+const SAFETY_POLL_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Ключ позиції: символ + positionSide (BOTH в ONE_WAY, LONG/SHORT в HEDGE)
+ */
+export function getPositionKey(symbol, positionSide = 'BOTH') {
+  return `${symbol}:${positionSide || 'BOTH'}`;
+}
+
+/**
+ * ID ордерів TP позиції: один TP або рівні ступінчастого TP
+ */
+export function getTakeProfitOrderIds(position) {
+  return [position.tpOrderId, ...(position.takeProfits || []).map(level => level.orderId)]
+    .filter(Boolean)
+    .map(String);
+}
+
+/**
+ * Причини закриття позиції
+ */
+export const EXIT_REASON = {
+  TAKE_PROFIT: 'TP',
+  STOP_LOSS: 'SL',
+  LIQUIDATION: 'LIQUIDATION',
+  MANUAL: 'MANUAL',       // закриття ботом на команду або з інтерфейсу біржі
+  EXTERNAL: 'EXTERNAL',   // ордер іншого API клієнта
+  UNKNOWN: 'UNKNOWN'      // угоди закриття не знайдено
+};
+
+// clientOrderId ліквідацій/ADL та ордерів з веб/мобільного інтерфейсу
+const LIQUIDATION_ORDER_PREFIXES = ['autoclose-', 'adl_autoclose'];
+const UI_ORDER_PREFIXES = ['web_', 'ios_', 'android_', 'electron_'];
+
+/**
+ * Визначає причину закриття за ордером, що закрив позицію
+ */
+function classifyExitOrder(order, trackedPosition) {
+  const orderId = String(order.orderId);
+  const clientOrderId = order.clientOrderId || '';
+
+  if (getTakeProfitOrderIds(trackedPosition).includes(orderId)) {
+    return EXIT_REASON.TAKE_PROFIT;
+  }
+  if (orderId === String(trackedPosition.slOrderId)) {
+    return EXIT_REASON.STOP_LOSS;
+  }
+  if ((trackedPosition.closeOrderIds || []).map(String).includes(orderId)) {
+    return EXIT_REASON.MANUAL;
+  }
+  if (order.type === 'LIQUIDATION' || LIQUIDATION_ORDER_PREFIXES.some(prefix => clientOrderId.startsWith(prefix))) {
+    return EXIT_REASON.LIQUIDATION;
+  }
+  // Ордер бота (напр. закриття, не записане в позицію) або з інтерфейсу біржі
+  if (clientOrderId.startsWith(CLIENT_ORDER_PREFIX) || UI_ORDER_PREFIXES.some(prefix => clientOrderId.startsWith(prefix))) {
+    return EXIT_REASON.MANUAL;
+  }
+  return EXIT_REASON.EXTERNAL;
+}
+
+/**
+ * Етапи супроводу SL
+ */
+export const STOP_STAGE = {
+  INITIAL: 'INITIAL',
+  BREAK_EVEN: 'BREAK_EVEN',
+  TRAILING: 'TRAILING'
+};
+
+/**
+ * Нова ціна SL для break-even / trailing stop або null, якщо SL рухати не треба.
+ * SL лише підтягується в бік прибутку і не ближче ніж minStepPercent до поточного
+ */
+function getManagedStop(position, price, atr) {
+  const settings = config.stopManagement;
+  const { direction, entryPrice } = position;
+  const side = direction === 'LONG' ? 1 : -1;
+  const profitPercent = calculatePnLPercent(entryPrice, price, direction);
+
+  let target = null;
+
+  if (settings.breakEvenEnabled && profitPercent >= settings.breakEvenTriggerPercent) {
+    target = {
+      price: entryPrice * (1 + side * settings.breakEvenOffsetPercent / 100),
+      stage: STOP_STAGE.BREAK_EVEN
+    };
+  }
+
+  if (settings.trailingEnabled && profitPercent >= settings.trailingActivationPercent) {
+    // Без ATR (свічки недоступні) - відсоткова відстань
+    const distance = settings.trailingMode === 'ATR' && atr
+      ? atr * settings.trailingAtrMultiplier
+      : price * settings.trailingPercent / 100;
+    const trailingPrice = price - side * distance;
+
+    if (!target || side * (trailingPrice - target.price) > 0) {
+      target = { price: trailingPrice, stage: STOP_STAGE.TRAILING };
+    }
+  }
+
+  if (!target) {
+    return null;
+  }
+
+  if (position.stopLoss && side * (target.price - position.stopLoss) < entryPrice * settings.minStepPercent / 100) {
+    return null;
+  }
+
+  // SL за поточною ціною спрацював би одразу
+  if (side * (price - target.price) <= 0) {
+    return null;
+  }
+
+  return { ...target, profitPercent };
+}
+
+/**
+ * Події: 'positionClosed' (дані закритої позиції з P&L)
+ */
+class PositionService extends EventEmitter {
   constructor() {
-    this.openPositions = new Map(); // symbol -> position data
+    super();
+    this.openPositions = new Map(); // symbol:positionSide -> position data
     this.closedPositions = [];
     this.monitoringInterval = null;
+    this.checkingKeys = new Set(); // захист від паралельної обробки (stream + polling)
+    this.recheckKeys = new Set(); // позиції, для яких подія надійшла під час перевірки
+    this.adjustingKeys = new Set(); // позиції, SL яких зараз перевиставляється
+    this.onPrice = ({ symbol, markPrice, lastPrice }) => this.handlePriceUpdate(symbol, markPrice || lastPrice);
+    // Події, пропущені під час перепідключення stream, добираємо повною перевіркою
+    this.onStreamConnected = () => this.checkPositions();
+    this.lastFullCheck = 0;
+  }
+
+  /**
+   * Відновлює відкриті та закриті позиції зі збереженого стану
+   */
+  initialize() {
+    stateService.load();
+
+    const savedOpen = stateService.get('openPositions') || [];
+    const savedClosed = stateService.get('closedPositions') || [];
+
+    // Позиції зі старих версій стану не мають positionSide
+    for (const position of savedOpen) {
+      position.positionSide = position.positionSide || exchange.getPositionSide(position.direction);
+    }
+
+    this.openPositions = new Map(savedOpen.map(position => [getPositionKey(position.symbol, position.positionSide), position]));
+    this.closedPositions = savedClosed;
+
+    logger.info(`[POSITION] Restored ${this.openPositions.size} open and ${this.closedPositions.length} closed positions from state`);
+  }
+
+  /**
+   * Записує поточні позиції у сховище стану
+   */
+  persist() {
+    stateService.update({
+      openPositions: Array.from(this.openPositions.values()),
+      closedPositions: this.closedPositions
+    });
   }
 
   /**
@@ -16,31 +193,76 @@ class PositionService {
    */
   addOpenPosition(positionData) {
     const { symbol, direction, entryPrice, quantity, takeProfit, stopLoss, orderId, timestamp } = positionData;
+    const positionSide = positionData.positionSide || exchange.getPositionSide(direction);
     
-    this.openPositions.set(symbol, {
+    this.openPositions.set(getPositionKey(symbol, positionSide), {
       symbol,
       direction,
+      positionSide,
       entryPrice,
       quantity,
+      initialQuantity: quantity,
+      leverage: positionData.leverage || null,
       takeProfit,
       stopLoss,
       orderId,
       timestamp: timestamp || Date.now(),
+      openedAt: positionData.openedAt || Date.now(),
       tpOrderId: positionData.tpOrderId,
-      slOrderId: positionData.slOrderId
+      // Рівні ступінчастого TP: { level, price, quantity, orderId, status: NEW | FILLED }
+      takeProfits: positionData.takeProfits || [],
+      slOrderId: positionData.slOrderId,
+      slQuantity: quantity,
+      closeOrderIds: positionData.closeOrderIds || [],
+      stopStage: STOP_STAGE.INITIAL,
+      stopAdjustments: [],
+      partialCloses: [],
+      realizedPnl: 0,
+      source: positionData.source || 'BOT'
     });
+    this.persist();
+    marketStreamService.subscribe(symbol);
 
-    logger.info(`[POSITION] Added position to monitoring: ${symbol} ${direction}`);
+    logger.info(`[POSITION] Added position to monitoring: ${symbol} ${direction} (${positionSide})`);
+  }
+
+  /**
+   * Оновлює поля відкритої позиції та зберігає стан
+   */
+  updateOpenPosition(key, changes) {
+    const position = this.openPositions.get(key);
+    if (!position) {
+      return null;
+    }
+
+    Object.assign(position, changes);
+    this.persist();
+    return position;
+  }
+
+  /**
+   * Запам'ятовує ордер закриття, відправлений ботом (для визначення причини закриття)
+   */
+  addCloseOrder(key, orderId) {
+    const position = this.openPositions.get(key);
+    if (!position || !orderId) {
+      return;
+    }
+
+    this.updateOpenPosition(key, {
+      closeOrderIds: [...(position.closeOrderIds || []), orderId]
+    });
   }
 
   /**
    * Видаляє позицію з моніторингу (коли закрита)
    */
-  removeOpenPosition(symbol) {
-    const position = this.openPositions.get(symbol);
+  removeOpenPosition(key) {
+    const position = this.openPositions.get(key);
     if (position) {
-      this.openPositions.delete(symbol);
-      logger.info(`[POSITION] Removed position from monitoring: ${symbol}`);
+      this.openPositions.delete(key);
+      this.persist();
+      logger.info(`[POSITION] Removed position from monitoring: ${key}`);
       return position;
     }
     return null;
@@ -54,22 +276,27 @@ class PositionService {
       ...positionData,
       closedAt: Date.now()
     });
+    this.persist();
     
     logger.info(`[POSITION] Position closed: ${positionData.symbol}, P&L: ${positionData.pnl.toFixed(2)} USDT`);
   }
 
   /**
    * Перевіряє чи є відкрита позиція по символу
+   * (positionSide не вказано - будь-який бік)
    */
-  hasOpenPosition(symbol) {
-    return this.openPositions.has(symbol);
+  hasOpenPosition(symbol, positionSide = null) {
+    if (positionSide) {
+      return this.openPositions.has(getPositionKey(symbol, positionSide));
+    }
+    return this.getAllOpenPositions().some(position => position.symbol === symbol);
   }
 
   /**
    * Отримує відкриту позицію
    */
-  getOpenPosition(symbol) {
-    return this.openPositions.get(symbol);
+  getOpenPosition(symbol, positionSide = 'BOTH') {
+    return this.openPositions.get(getPositionKey(symbol, positionSide));
   }
 
   /**
@@ -79,6 +306,24 @@ class PositionService {
     return Array.from(this.openPositions.values());
   }
 
+  /**
+   * Notional (за mark ціною, без неї - за ціною входу) та маржа відкритих позицій
+   * для лімітів експозиції портфеля
+   */
+  getOpenExposures() {
+    return this.getAllOpenPositions().map(position => {
+      const price = marketStreamService.getMarkPrice(position.symbol) || position.entryPrice;
+      const notional = price * position.quantity;
+
+      return {
+        symbol: position.symbol,
+        direction: position.direction,
+        notional,
+        margin: notional / (position.leverage || config.risk.leverage)
+      };
+    });
+  }
+
   /**
    * Отримує кількість відкритих позицій
    */
@@ -96,12 +341,61 @@ class PositionService {
     }
 
     logger.info('[POSITION] Starting position monitoring...');
+
+    // Реагуємо на виконання ордерів одразу через user-data stream
+    userStreamService.on('orderUpdate', (update) => this.handleOrderUpdate(update));
+    userStreamService.on('accountUpdate', (update) => this.handleAccountUpdate(update));
+    userStreamService.on('connected', this.onStreamConnected);
+
+    // Break-even / trailing stop за цінами market-data stream
+    marketStreamService.on('price', this.onPrice);
     
+    // Polling працює як fallback, коли stream недоступний, та рідше - як страховка при активному stream
     this.monitoringInterval = setInterval(async () => {
+      if (userStreamService.isConnected && Date.now() - this.lastFullCheck < SAFETY_POLL_INTERVAL_MS) {
+        // Без market-data stream SL підтягуємо за ціною з REST
+        if (!marketStreamService.isConnected) {
+          await this.manageStops();
+        }
+        return;
+      }
       await this.checkPositions();
     }, intervalMs);
   }
 
+  /**
+   * Обробляє ORDER_TRADE_UPDATE: виконання TP/SL по відстежуваній позиції
+   */
+  async handleOrderUpdate(update) {
+    const key = getPositionKey(update.symbol, update.positionSide);
+    const trackedPosition = this.openPositions.get(key);
+    if (!trackedPosition || update.status !== 'FILLED') {
+      return;
+    }
+
+    const trackedOrderIds = [...getTakeProfitOrderIds(trackedPosition), trackedPosition.slOrderId, ...(trackedPosition.closeOrderIds || [])]
+      .filter(Boolean)
+      .map(String);
+
+    if (trackedOrderIds.includes(String(update.orderId)) || update.reduceOnly || update.type === 'LIQUIDATION') {
+      logger.info(`[POSITION] ${key}: ${update.type} order #${update.orderId} filled (stream)`);
+      await this.checkPosition(key);
+    }
+  }
+
+  /**
+   * Обробляє ACCOUNT_UPDATE: позиція обнулилась
+   */
+  async handleAccountUpdate(update) {
+    for (const position of update.positions) {
+      const key = getPositionKey(position.symbol, position.positionSide);
+      if (position.positionAmt === 0 && this.openPositions.has(key)) {
+        logger.info(`[POSITION] ${key}: position closed (stream)`);
+        await this.checkPosition(key);
+      }
+    }
+  }
+
   /**
    * Зупиняє моніторинг позицій
    */
@@ -109,6 +403,10 @@ class PositionService {
     if (this.monitoringInterval) {
       clearInterval(this.monitoringInterval);
       this.monitoringInterval = null;
+      userStreamService.removeAllListeners('orderUpdate');
+      marketStreamService.off('price', this.onPrice);
+      userStreamService.removeAllListeners('accountUpdate');
+      userStreamService.off('connected', this.onStreamConnected);
       logger.info('[POSITION] Position monitoring stopped');
     }
   }
@@ -117,29 +415,15 @@ class PositionService {
    * Перевіряє статус всіх відкритих позицій
    */
   async checkPositions() {
+    this.lastFullCheck = Date.now();
     try {
       if (this.openPositions.size === 0) {
         return;
       }
   
-      // Перевіряємо КОЖЕН символ окремо (надійніше)
-      for (const [symbol, trackedPosition] of this.openPositions.entries()) {
-        try {
-          const exchangePositions = await asterdexService.getOpenPositions(symbol);  // ← ЗМІНЕНО
-          const exchangePosition = exchangePositions.find(pos => pos.symbol === symbol);
-          
-          if (!exchangePosition || Math.abs(exchangePosition.positionAmt) === 0) {
-            // Позиція закрита на біржі
-            await this.handlePositionClosed(symbol, trackedPosition);
-          } else {
-            // Позиція все ще відкрита, оновлюємо дані
-            await this.updatePositionData(symbol, exchangePosition);
-          }
-        } catch (error) {
-          logger.error(`[POSITION] Error checking position ${symbol}: ${error.message}`);
-          // Продовжуємо перевірку інших позицій
-          continue;
-        }
+      // Перевіряємо КОЖНУ позицію (символ + бік) окремо
+      for (const key of Array.from(this.openPositions.keys())) {
+        await this.checkPosition(key);
       }
     } catch (error) {
       logger.error(`[POSITION] Error in checkPositions: ${error.message}`);
@@ -147,49 +431,112 @@ class PositionService {
   }
 
   /**
-   * Обробляє закриття позиції
+   * Перевіряє статус однієї позиції на біржі
    */
-  async handlePositionClosed(symbol, trackedPosition) {
+  async checkPosition(key) {
+    const trackedPosition = this.openPositions.get(key);
+    if (!trackedPosition) {
+      return;
+    }
+
+    // Перевірка вже йде - повторимо після неї, щоб не загубити подію
+    if (this.checkingKeys.has(key)) {
+      this.recheckKeys.add(key);
+      return;
+    }
+
+    const { symbol, positionSide } = trackedPosition;
+
+    let markPrice = null;
+
+    this.checkingKeys.add(key);
     try {
-      // Отримуємо останню угоду для визначення ціни закриття
-      const trades = await asterdexService.getTradeHistory(symbol, 10);  // ← ЗМІНЕНО
+      const exchangePositions = await exchange.getOpenPositions(symbol);  // ← ЗМІНЕНО
+      // В HEDGE режимі по символу може бути дві позиції - шукаємо свій бік
+      const exchangePosition = exchangePositions.find(pos => pos.symbol === symbol && pos.positionSide === positionSide);
       
-      // Для AsterDex визначаємо закриваючу угоду
-      const closeTrade = trades.find(t => {
-        const tradeSide = t.side?.toUpperCase() || '';
-        const isBuyer = t.buyer === true;
-        
-        // Для LONG: шукаємо SELL угоду
-        // Для SHORT: шукаємо BUY угоду
-        if (trackedPosition.direction === 'LONG') {
-          return tradeSide === 'SELL' || !isBuyer;
-        } else {
-          return tradeSide === 'BUY' || isBuyer;
+      if (!exchangePosition || Math.abs(exchangePosition.positionAmt) === 0) {
+        // Позиція закрита на біржі
+        await this.handlePositionClosed(symbol, trackedPosition);
+      } else {
+        // Позиція все ще відкрита, оновлюємо дані
+        markPrice = await this.updatePositionData(key, exchangePosition);
+      }
+    } catch (error) {
+      logger.error(`[POSITION] Error checking position ${key}: ${error.message}`);
+    } finally {
+      this.checkingKeys.delete(key);
+    }
+
+    if (this.recheckKeys.delete(key)) {
+      await this.checkPosition(key);
+      return;
+    }
+
+    // SL перевиставляється поза блокуванням перевірки
+    if (markPrice) {
+      await this.manageStop(key, markPrice);
+    }
+  }
+
+  /**
+   * OCO: скасовує захисні ордери, що залишились після закриття позиції.
+   * Повертає тип ордера, який виконався (TAKE_PROFIT / STOP) або null
+   */
+  async cancelBracket(symbol, trackedPosition) {
+    const legs = [
+      { type: 'TAKE_PROFIT', orderId: trackedPosition.tpOrderId },
+      // Виконані рівні TP вже враховані як часткові закриття
+      ...(trackedPosition.takeProfits || [])
+        .filter(level => level.status !== 'FILLED')
+        .map(level => ({ type: 'TAKE_PROFIT', orderId: level.orderId })),
+      { type: 'STOP', orderId: trackedPosition.slOrderId }
+    ].filter(leg => leg.orderId);
+
+    let filledType = null;
+
+    for (const leg of legs) {
+      try {
+        const order = await exchange.getOrder(symbol, leg.orderId);
+
+        if (order.status === 'FILLED') {
+          filledType = leg.type;
+          continue;
         }
-      });
 
-      const exitPrice = closeTrade ? parseFloat(closeTrade.price) : trackedPosition.entryPrice;
+        if (order.status === 'NEW' || order.status === 'PARTIALLY_FILLED') {
+          // Залишок захисного ордера може відкрити нову позицію - скасовуємо
+          await exchange.cancelOrder(symbol, leg.orderId);
+          logger.info(`[POSITION] ${symbol}: cancelled remaining ${leg.type} order ${leg.orderId}`);
+        }
+      } catch (error) {
+        logger.error(`[POSITION] ${symbol}: error cancelling ${leg.type} order ${leg.orderId}: ${error.message}`);
+      }
+    }
+
+    return filledType;
+  }
+
+  /**
+   * Обробляє закриття позиції
+   */
+  async handlePositionClosed(symbol, trackedPosition) {
+    try {
+      // Скасовуємо другу ногу TP/SL
+      const filledOrderType = await this.cancelBracket(symbol, trackedPosition);
+
+      const result = await this.calculateClosedPnL(symbol, trackedPosition);
+
+      // Угод не знайдено, але статус TP/SL ордера відомий
+      if (result.exitReason === EXIT_REASON.UNKNOWN && filledOrderType) {
+        result.exitReason = filledOrderType === 'TAKE_PROFIT' ? EXIT_REASON.TAKE_PROFIT : EXIT_REASON.STOP_LOSS;
+      }
       const duration = Math.floor((Date.now() - trackedPosition.timestamp) / 1000);
-      
-      // Розраховуємо P&L
-      const pnl = calculatePnL(
-        trackedPosition.entryPrice,
-        exitPrice,
-        trackedPosition.quantity,
-        trackedPosition.direction
-      );
-      
-      const pnlPercent = calculatePnLPercent(
-        trackedPosition.entryPrice,
-        exitPrice,
-        trackedPosition.direction
-      );
 
       const closedPositionData = {
         ...trackedPosition,
-        exitPrice,
-        pnl,
-        pnlPercent,
+        ...result,
+        filledOrderType,
         duration: formatDuration(duration)
       };
 
@@ -197,7 +544,9 @@ class PositionService {
       this.addClosedPosition(closedPositionData);
       
       // Видаляємо з відкритих
-      this.removeOpenPosition(symbol);
+      this.removeOpenPosition(getPositionKey(symbol, trackedPosition.positionSide));
+
+      this.emit('positionClosed', closedPositionData);
 
       // Відправляємо повідомлення в Telegram
       if (!config.trading.dryRun) {
@@ -207,23 +556,427 @@ class PositionService {
         );
       }
 
-      logger.info(`[POSITION] Position closed: ${symbol}, P&L: ${pnl.toFixed(2)} USDT (${pnlPercent.toFixed(2)}%)`);
+      logger.info(`[POSITION] Position closed: ${symbol} (${result.exitReason}), net P&L: ${result.pnl.toFixed(4)} USDT (gross ${result.grossPnl.toFixed(4)}, fees ${result.fees.toFixed(4)}, funding ${result.funding.toFixed(4)})`);
     } catch (error) {
       logger.error(`[POSITION] Error handling closed position: ${error.message}`);
     }
   }
 
   /**
-   * Оновлює дані позиції
+   * Знаходить угоди входу та виходу позиції.
+   * Вхід - за ID ордера входу; вихід - угоди протилежного боку після входу
+   * в хронологічному порядку, не більше за кількість позиції
+   */
+  async findPositionFills(symbol, trackedPosition) {
+    const { direction } = trackedPosition;
+    const entrySide = exchange.getOrderSide(direction);
+    const positionSide = trackedPosition.positionSide || exchange.getPositionSide(direction);
+    const openedAt = trackedPosition.openedAt || trackedPosition.timestamp;
+
+    const trades = (await exchange.getTradeHistory(symbol, 100, openedAt - FILLS_LOOKBACK_MS))
+      .filter(t => !t.positionSide || t.positionSide === positionSide)
+      .sort((a, b) => a.time - b.time);
+    const tradeSide = t => t.side || (t.buyer ? 'BUY' : 'SELL');
+
+    // Для прийнятих позицій (MANUAL / RECONCILED) ID ордера входу невідомий
+    const entryTrades = trades.filter(t =>
+      tradeSide(t) === entrySide &&
+      trackedPosition.orderId && String(t.orderId) === String(trackedPosition.orderId)
+    );
+    const entryTime = entryTrades.length > 0 ? entryTrades[0].time : openedAt;
+
+    // Часткові виконання різних ордерів закриття (разом з рівнями TP), доки не набереться кількість позиції
+    const exitTrades = [];
+    let remaining = parseFloat(trackedPosition.initialQuantity || trackedPosition.quantity) || Infinity;
+    for (const trade of trades) {
+      if (tradeSide(trade) === entrySide || trade.time < entryTime || remaining <= 1e-12) {
+        continue;
+      }
+      exitTrades.push(trade);
+      remaining -= parseFloat(trade.qty);
+    }
+
+    return { trades, entryTrades, exitTrades, entryTime };
+  }
+
+  /**
+   * Групує угоди виходу по ордерах (VWAP кожного) та визначає причину закриття -
+   * за ордером, що виконався останнім
+   */
+  async classifyExit(symbol, trackedPosition, exitTrades) {
+    const orders = new Map();
+    for (const trade of exitTrades) {
+      const key = String(trade.orderId);
+      const order = orders.get(key) || { orderId: trade.orderId, qty: 0, notional: 0, time: 0 };
+      order.qty += parseFloat(trade.qty);
+      order.notional += parseFloat(trade.price) * parseFloat(trade.qty);
+      order.time = Math.max(order.time, trade.time);
+      orders.set(key, order);
+    }
+
+    const exitOrders = [];
+    for (const order of orders.values()) {
+      let details = { orderId: order.orderId };
+      const isTracked = [...getTakeProfitOrderIds(trackedPosition), trackedPosition.slOrderId, ...(trackedPosition.closeOrderIds || [])]
+        .filter(Boolean)
+        .map(String)
+        .includes(String(order.orderId));
+
+      // Для чужих ордерів clientOrderId / тип потрібні для розпізнавання ліквідації
+      if (!isTracked) {
+        try {
+          details = await exchange.getOrder(symbol, order.orderId);
+        } catch (error) {
+          logger.warn(`[POSITION] ${symbol}: cannot query exit order ${order.orderId}: ${error.message}`);
+        }
+      }
+
+      exitOrders.push({
+        orderId: order.orderId,
+        reason: classifyExitOrder(details, trackedPosition),
+        quantity: order.qty,
+        price: order.notional / order.qty,
+        time: order.time
+      });
+    }
+
+    exitOrders.sort((a, b) => a.time - b.time);
+    const exitReason = exitOrders.length > 0 ? exitOrders[exitOrders.length - 1].reason : EXIT_REASON.UNKNOWN;
+
+    return { exitReason, exitOrders };
+  }
+
+  /**
+   * Розраховує P&L закритої позиції з фактичних виконань:
+   * gross (різниця VWAP входу/виходу), комісії всіх угод та funding за час утримання.
+   * pnl = gross - fees + funding
    */
-  async updatePositionData(symbol, exchangePosition) {
-    const trackedPosition = this.openPositions.get(symbol);
-    if (!trackedPosition) return;
+  async calculateClosedPnL(symbol, trackedPosition) {
+    const { direction } = trackedPosition;
+    const { trades, entryTrades, exitTrades, entryTime } = await this.findPositionFills(symbol, trackedPosition);
+    const { exitReason, exitOrders } = await this.classifyExit(symbol, trackedPosition, exitTrades);
+
+    // Комісії в інших активах (напр. BNB) переводимо в USDT за поточною ціною
+    const assetPrices = {};
+    for (const asset of new Set(trades.map(t => t.commissionAsset).filter(a => a && a !== 'USDT'))) {
+      try {
+        assetPrices[asset] = await exchange.getCurrentPrice(`${asset}USDT`);
+      } catch (error) {
+        logger.warn(`[POSITION] ${symbol}: cannot price ${asset} commission: ${error.message}`);
+      }
+    }
+
+    const fills = summarizeFills(entryTrades, exitTrades, direction, assetPrices);
+    const entryPrice = fills.entryPrice || trackedPosition.entryPrice;
+    let { exitPrice, grossPnl } = fills;
+
+    if (exitTrades.length === 0) {
+      logger.warn(`[POSITION] ${symbol}: no exit fills found, P&L is unknown`);
+      exitPrice = entryPrice;
+    } else if (entryTrades.length === 0) {
+      // Ціна входу з трекера, кількість - з угод виходу
+      grossPnl = calculatePnL(entryPrice, exitPrice, fills.quantity, direction);
+    }
+
+    let funding = 0;
+    try {
+      const income = await exchange.getIncomeHistory(symbol, 'FUNDING_FEE', entryTime);
+      funding = income.reduce((sum, item) => sum + parseFloat(item.income || '0'), 0);
+    } catch (error) {
+      logger.warn(`[POSITION] ${symbol}: funding history unavailable: ${error.message}`);
+    }
+
+    const pnl = grossPnl - fills.fees + funding;
+    const notional = entryPrice * (fills.quantity || trackedPosition.initialQuantity || trackedPosition.quantity);
+
+    return {
+      entryPrice,
+      exitPrice,
+      exitReason,
+      exitOrders,
+      closedQuantity: fills.quantity,
+      grossPnl,
+      fees: fills.fees,
+      funding,
+      pnl,
+      pnlPercent: notional > 0 ? (pnl / notional) * 100 : 0
+    };
+  }
+
+  /**
+   * Оновлює дані позиції. Повертає mark price
+   */
+  async updatePositionData(key, exchangePosition) {
+    const trackedPosition = this.openPositions.get(key);
+    if (!trackedPosition) return null;
+
+    // Позиція зменшилась - міг виконатись рівень ступінчастого TP
+    if (Math.abs(exchangePosition.positionAmt) < trackedPosition.quantity) {
+      await this.syncTakeProfits(key);
+    }
 
     // Оновлюємо unrealised P&L
     const unrealisedPnl = exchangePosition.unRealizedProfit || 0;
+    const markPrice = marketStreamService.getMarkPrice(trackedPosition.symbol) || exchangePosition.markPrice;
     
-    logger.debug(`[POSITION] ${symbol}: Unrealised P&L: ${unrealisedPnl.toFixed(2)} USDT`);
+    logger.debug(`[POSITION] ${key}: Mark: ${markPrice}, Unrealised P&L: ${unrealisedPnl.toFixed(2)} USDT`);
+
+    return parseFloat(markPrice);
+  }
+
+  /**
+   * Перевіряє невиконані рівні ступінчастого TP та записує виконані як часткові закриття
+   */
+  async syncTakeProfits(key) {
+    const position = this.openPositions.get(key);
+    if (!position) return;
+
+    for (const level of position.takeProfits || []) {
+      if (level.status === 'FILLED') continue;
+
+      try {
+        const order = await exchange.getOrder(position.symbol, level.orderId);
+        if (order.status === 'FILLED') {
+          await this.recordPartialClose(key, level, order);
+        }
+      } catch (error) {
+        logger.error(`[POSITION] ${key}: error checking TP level ${level.level} order ${level.orderId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Часткове закриття рівнем TP: реалізований P&L рівня (мінус комісія виходу),
+   * залишок позиції та звіт. SL під залишок перевиставляє manageStop
+   */
+  async recordPartialClose(key, level, order) {
+    const position = this.openPositions.get(key);
+    const { symbol, direction, entryPrice } = position;
+
+    let exitTrades = [];
+    try {
+      const openedAt = position.openedAt || position.timestamp;
+      exitTrades = (await exchange.getTradeHistory(symbol, 100, openedAt - FILLS_LOOKBACK_MS))
+        .filter(t => String(t.orderId) === String(level.orderId));
+    } catch (error) {
+      logger.warn(`[POSITION] ${key}: trades of TP level ${level.level} unavailable: ${error.message}`);
+    }
+
+    const fills = summarizeFills([], exitTrades, direction);
+    const quantity = fills.quantity || parseFloat(order.executedQty) || level.quantity;
+    const price = fills.exitPrice || parseFloat(order.avgPrice) || level.price;
+    const grossPnl = calculatePnL(entryPrice, price, quantity, direction);
+    const pnl = grossPnl - fills.fees;
+
+    const partialClose = {
+      level: level.level,
+      orderId: level.orderId,
+      quantity,
+      price,
+      grossPnl,
+      fees: fills.fees,
+      pnl,
+      at: Date.now()
+    };
+    const remainingQuantity = Math.max(0, parseFloat(addDecimal(position.quantity, `-${quantity}`)));
+
+    this.updateOpenPosition(key, {
+      quantity: remainingQuantity,
+      takeProfits: position.takeProfits.map(l => l.orderId === level.orderId
+        ? { ...l, status: 'FILLED', filledPrice: price, pnl }
+        : l),
+      partialCloses: [...(position.partialCloses || []), partialClose],
+      realizedPnl: (position.realizedPnl || 0) + pnl
+    });
+
+    logger.info(`[POSITION] ${key}: TP level ${level.level} filled, closed ${quantity} @ ${price}, P&L ${pnl.toFixed(4)} USDT, remaining ${remainingQuantity}`);
+
+    if (!config.trading.dryRun) {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatPartialCloseMessage({
+          ...position,
+          ...partialClose,
+          levels: position.takeProfits.length,
+          remainingQuantity
+        })
+      );
+    }
+  }
+
+  /**
+   * Нова ціна з market-data stream: супровід SL позицій символу
+   */
+  async handlePriceUpdate(symbol, price) {
+    for (const position of this.getAllOpenPositions()) {
+      if (position.symbol === symbol) {
+        await this.manageStop(getPositionKey(symbol, position.positionSide), price);
+      }
+    }
+  }
+
+  /**
+   * Супровід SL усіх позицій за поточною ціною з REST
+   */
+  async manageStops() {
+    const { breakEvenEnabled, trailingEnabled } = config.stopManagement;
+    if (!breakEvenEnabled && !trailingEnabled) {
+      return;
+    }
+
+    for (const [key, position] of Array.from(this.openPositions.entries())) {
+      try {
+        await this.manageStop(key, await exchange.getCurrentPrice(position.symbol));
+      } catch (error) {
+        logger.error(`[POSITION] ${key}: error updating stop: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Переносить SL в break-even, підтягує trailing stop та приводить
+   * кількість SL до залишку позиції після часткових TP
+   */
+  async manageStop(key, price) {
+    const { breakEvenEnabled, trailingEnabled, trailingMode } = config.stopManagement;
+
+    const position = this.openPositions.get(key);
+    if (!position?.slOrderId || !(price > 0) || this.adjustingKeys.has(key) || this.checkingKeys.has(key)) {
+      return;
+    }
+
+    const needsResize = position.slQuantity !== undefined && position.slQuantity !== position.quantity;
+    if (!breakEvenEnabled && !trailingEnabled && !needsResize) {
+      return;
+    }
+
+    this.adjustingKeys.add(key);
+    try {
+      const atr = trailingEnabled && trailingMode === 'ATR'
+        ? await volatilityService.getATR(position.symbol)
+        : null;
+
+      let target = getManagedStop(position, price, atr);
+      if (!target && !needsResize) {
+        return;
+      }
+
+      const symbolInfo = await exchange.getSymbolInfo(position.symbol);
+      let stopPrice = target && normalizePrice(target.price, symbolInfo, getProtectiveRounding(position.direction, 'STOP_LOSS'));
+
+      if (!target || parseFloat(stopPrice) === position.stopLoss) {
+        if (!needsResize) {
+          return;
+        }
+        // Ціна SL та етап без змін, лише нова кількість
+        target = {
+          stage: position.stopStage,
+          profitPercent: calculatePnLPercent(position.entryPrice, price, position.direction)
+        };
+        stopPrice = normalizePrice(position.stopLoss, symbolInfo);
+      }
+
+      await this.replaceStopOrder(key, position, stopPrice, normalizeQuantity(position.quantity, symbolInfo, false), target, price);
+    } catch (error) {
+      logger.error(`[POSITION] ${key}: error managing stop: ${error.message}`);
+    } finally {
+      this.adjustingKeys.delete(key);
+    }
+  }
+
+  /**
+   * Скасовує STOP ордер і виставляє новий за stopPrice.
+   * Якщо новий не виставився - повертає попередній SL
+   */
+  async replaceStopOrder(key, position, stopPrice, quantity, target, price) {
+    const { symbol, direction, positionSide } = position;
+    const side = exchange.getOrderSide(direction);
+    const attempts = config.trading.protectiveOrderRetries;
+    const previousStop = position.stopLoss;
+    // Номер переміщення робить ID унікальним: той самий SL може перевиставлятись кілька разів
+    const adjustmentNumber = (position.stopAdjustments || []).length + 1;
+
+    let cancelled;
+    try {
+      cancelled = await exchange.cancelOrder(symbol, position.slOrderId);
+    } catch (error) {
+      logger.warn(`[POSITION] ${key}: cannot cancel SL order ${position.slOrderId}, keeping it: ${error.message}`);
+      return;
+    }
+
+    // null - SL вже виконаний або скасований: новий не ставимо, закриття обробить checkPosition
+    if (!cancelled) {
+      logger.warn(`[POSITION] ${key}: SL order ${position.slOrderId} is no longer open, checking position`);
+      await this.checkPosition(key);
+      return;
+    }
+
+    const adjustment = {
+      stage: target.stage,
+      from: previousStop,
+      to: parseFloat(stopPrice),
+      quantity: parseFloat(quantity),
+      price,
+      profitPercent: target.profitPercent,
+      at: Date.now()
+    };
+
+    let slResult;
+    try {
+      slResult = await retry(() => exchange.setStopLoss(
+        symbol,
+        side,
+        stopPrice,
+        quantity,
+        positionSide,
+        buildClientOrderId('SL', symbol, direction, position.orderId, stopPrice, quantity, adjustmentNumber)
+      ), attempts, { shouldRetry: isRetryableError });
+    } catch (error) {
+      logger.error(`[POSITION] ${key}: failed to place new SL @ ${stopPrice}: ${error.message}`);
+      adjustment.error = error.message;
+
+      try {
+        slResult = await retry(() => exchange.setStopLoss(
+          symbol,
+          side,
+          previousStop,
+          quantity,
+          positionSide,
+          buildClientOrderId('SL', symbol, direction, position.orderId, previousStop, quantity, 'restore', adjustmentNumber)
+        ), attempts, { shouldRetry: isRetryableError });
+        adjustment.to = previousStop;
+      } catch (restoreError) {
+        // Позиція без SL - потрібне ручне втручання
+        logger.error(`[POSITION] ${key}: failed to restore SL @ ${previousStop}: ${restoreError.message}`);
+        adjustment.to = null;
+        adjustment.restoreError = restoreError.message;
+      }
+    }
+
+    adjustment.orderId = slResult?.orderId || null;
+    this.updateOpenPosition(key, {
+      stopLoss: adjustment.to,
+      slOrderId: adjustment.orderId,
+      slQuantity: adjustment.orderId ? adjustment.quantity : position.slQuantity,
+      stopStage: adjustment.error ? position.stopStage : target.stage,
+      stopAdjustments: [...(position.stopAdjustments || []), adjustment]
+    });
+
+    // Лише нова кількість після часткового TP - звіт вже надіслано з частковим закриттям
+    const isResize = adjustment.from === adjustment.to;
+
+    if (!adjustment.error) {
+      logger.info(isResize
+        ? `[POSITION] ${key}: SL @ ${stopPrice} resized to ${quantity}`
+        : `[POSITION] ${key}: SL moved ${previousStop} -> ${stopPrice} (${target.stage}, price ${price}, +${target.profitPercent.toFixed(2)}%)`);
+    }
+
+    if (!config.trading.dryRun && (!isResize || adjustment.error)) {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatStopAdjustedMessage({ ...position, ...adjustment })
+      );
+    }
   }
 
   /**
@@ -234,12 +987,22 @@ class PositionService {
     const winTrades = this.closedPositions.filter(p => p.pnl >= 0).length;
     const loseTrades = totalTrades - winTrades;
     const totalPnl = this.closedPositions.reduce((sum, p) => sum + p.pnl, 0);
+    const grossPnl = this.closedPositions.reduce((sum, p) => sum + (p.grossPnl ?? p.pnl), 0);
+    const totalFees = this.closedPositions.reduce((sum, p) => sum + (p.fees || 0), 0);
+    const totalFunding = this.closedPositions.reduce((sum, p) => sum + (p.funding || 0), 0);
+    // Часткові закриття рівнями TP (закриті та ще відкриті позиції)
+    const partialCloses = [...this.closedPositions, ...this.openPositions.values()].flatMap(p => p.partialCloses || []);
     
     return {
       totalTrades,
       winTrades,
       loseTrades,
       totalPnl,
+      grossPnl,
+      totalFees,
+      totalFunding,
+      partialCloses: partialCloses.length,
+      partialPnl: partialCloses.reduce((sum, p) => sum + p.pnl, 0),
       openPositions: this.openPositions.size,
       closedPositions: totalTrades
     };
@@ -250,6 +1013,7 @@ class PositionService {
    */
   resetDailyStatistics() {
     this.closedPositions = [];
+    this.persist();
     logger.info('[POSITION] Daily statistics reset');
   }
 }
@@ -0,0 +1,174 @@
+import exchange from './exchange.service.js';
+import positionService, { getPositionKey } from './position.service.js';
+import telegramService from './telegram.service.js';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+const TAKE_PROFIT_TYPES = ['TAKE_PROFIT', 'TAKE_PROFIT_MARKET'];
+const STOP_LOSS_TYPES = ['STOP', 'STOP_MARKET'];
+
+/**
+ * Чи закриває ордер позицію з вказаним напрямком
+ */
+function isProtectiveOrderFor(order, exchangePosition) {
+  const closingSide = exchangePosition.side === 'LONG' ? 'SELL' : 'BUY';
+  return order.symbol === exchangePosition.symbol &&
+    order.side === closingSide &&
+    (order.positionSide || 'BOTH') === exchangePosition.positionSide;
+}
+
+/**
+ * Знаходить TP/SL ордери для позиції серед відкритих ордерів
+ */
+function findProtectiveOrders(openOrders, exchangePosition) {
+  const orders = openOrders.filter(order => isProtectiveOrderFor(order, exchangePosition));
+
+  return {
+    tpOrder: orders.find(order => TAKE_PROFIT_TYPES.includes(order.type)) || null,
+    slOrder: orders.find(order => STOP_LOSS_TYPES.includes(order.type)) || null
+  };
+}
+
+/**
+ * Звіряє збережений стан з реальними позиціями та ордерами на біржі.
+ * Викликається при старті ДО реєстрації обробника сигналів.
+ * @returns {Object} звіт зі списками розбіжностей
+ */
+export async function reconcileWithExchange() {
+  logger.info('[RECONCILE] Reconciling tracked positions with exchange...');
+
+  const report = {
+    adopted: [],
+    manual: [],
+    closedOffline: [],
+    quantityMismatch: [],
+    missingOrders: [],
+    orphanOrders: []
+  };
+
+  const exchangePositions = await exchange.getOpenPositions();
+  const openOrders = await exchange.getOpenOrders();
+
+  // 1. Позиції, які ми відстежуємо
+  for (const trackedPosition of positionService.getAllOpenPositions()) {
+    const { symbol, positionSide } = trackedPosition;
+    const key = getPositionKey(symbol, positionSide);
+    const exchangePosition = exchangePositions.find(pos => pos.symbol === symbol && pos.positionSide === positionSide);
+
+    if (!exchangePosition) {
+      // Закрилась поки бот був вимкнений
+      logger.warn(`[RECONCILE] ${key}: tracked position not found on exchange, closing`);
+      report.closedOffline.push(symbol);
+      await positionService.handlePositionClosed(symbol, trackedPosition);
+      continue;
+    }
+
+    // Рівні ступінчастого TP, виконані поки бот не працював - часткові закриття
+    if (exchangePosition.size < trackedPosition.quantity) {
+      await positionService.syncTakeProfits(key);
+    }
+
+    if (exchangePosition.size !== trackedPosition.quantity) {
+      logger.warn(`[RECONCILE] ${key}: quantity mismatch, tracked ${trackedPosition.quantity}, exchange ${exchangePosition.size}`);
+      report.quantityMismatch.push({
+        symbol,
+        tracked: trackedPosition.quantity,
+        exchange: exchangePosition.size
+      });
+      positionService.updateOpenPosition(key, { quantity: exchangePosition.size });
+    }
+
+    const openOrderIds = openOrders
+      .filter(order => order.symbol === symbol)
+      .map(order => String(order.orderId));
+
+    const protectiveOrders = [
+      ['TP', trackedPosition.tpOrderId],
+      ...(trackedPosition.takeProfits || [])
+        .filter(level => level.status !== 'FILLED')
+        .map(level => [`TP${level.level}`, level.orderId]),
+      ['SL', trackedPosition.slOrderId]
+    ];
+
+    for (const [label, orderId] of protectiveOrders) {
+      if (orderId && !openOrderIds.includes(String(orderId))) {
+        logger.warn(`[RECONCILE] ${key}: ${label} order ${orderId} is not open on exchange`);
+        report.missingOrders.push({ symbol, label, orderId });
+      }
+    }
+  }
+
+  // 2. Позиції на біржі, про які бот не знає
+  for (const exchangePosition of exchangePositions) {
+    if (positionService.hasOpenPosition(exchangePosition.symbol, exchangePosition.positionSide)) {
+      continue;
+    }
+
+    const { tpOrder, slOrder } = findProtectiveOrders(openOrders, exchangePosition);
+    const isManual = !tpOrder || !slOrder;
+
+    positionService.addOpenPosition({
+      symbol: exchangePosition.symbol,
+      direction: exchangePosition.side,
+      positionSide: exchangePosition.positionSide,
+      entryPrice: exchangePosition.entryPrice,
+      quantity: exchangePosition.size,
+      leverage: exchangePosition.leverage,
+      takeProfit: tpOrder ? (tpOrder.stopPrice || tpOrder.price) : null,
+      stopLoss: slOrder ? (slOrder.stopPrice || slOrder.price) : null,
+      orderId: null,
+      timestamp: Date.now(),
+      tpOrderId: tpOrder?.orderId,
+      slOrderId: slOrder?.orderId,
+      source: isManual ? 'MANUAL' : 'RECONCILED'
+    });
+
+    const entry = {
+      symbol: exchangePosition.symbol,
+      direction: exchangePosition.side,
+      quantity: exchangePosition.size,
+      entryPrice: exchangePosition.entryPrice
+    };
+
+    if (isManual) {
+      logger.warn(`[RECONCILE] ${exchangePosition.symbol}: untracked position without TP/SL, flagged as manual`);
+      report.manual.push(entry);
+    } else {
+      logger.info(`[RECONCILE] ${exchangePosition.symbol}: adopted untracked position with TP/SL`);
+      report.adopted.push(entry);
+    }
+  }
+
+  // 3. Ордери без позиції (залишки попередніх запусків)
+  for (const order of openOrders) {
+    const hasPosition = exchangePositions.some(pos =>
+      pos.symbol === order.symbol && pos.positionSide === (order.positionSide || 'BOTH')
+    );
+    if (!hasPosition) {
+      logger.warn(`[RECONCILE] ${order.symbol}: open ${order.type} order ${order.orderId} without position`);
+      report.orphanOrders.push(order);
+    }
+  }
+
+  const discrepancies = Object.values(report).reduce((sum, items) => sum + items.length, 0);
+  report.hasDiscrepancies = discrepancies > 0;
+
+  if (report.hasDiscrepancies) {
+    logger.warn(`[RECONCILE] Found ${discrepancies} discrepancies`);
+
+    if (!config.trading.dryRun) {
+      await telegramService.sendMessage(
+        config.telegram.channelId,
+        telegramService.formatReconciliationMessage(report)
+      );
+    }
+  } else {
+    logger.info('[RECONCILE] ✅ State matches exchange');
+  }
+
+  return report;
+}
+
+export default {
+  reconcileWithExchange
+};
@@ -1,16 +1,278 @@
 import { config } from '../config/settings.js';
-import { roundQuantity, roundPrice, isValidNumber } from '../utils/helpers.js';
+import { isValidNumber } from '../utils/helpers.js';
+import { normalizeOrderParams, normalizeTakeProfitLadder } from './normalizer.service.js';
 import logger from '../utils/logger.js';
 
+// Maintenance margin rate, якщо leverage brackets недоступні
+const DEFAULT_MAINT_MARGIN_RATIO = 0.01;
+
+/**
+ * Bracket, у який потрапляє notional позиції
+ */
+export function findLeverageBracket(leverageBrackets, notional) {
+  return leverageBrackets.find(b => notional >= b.notionalFloor && notional < b.notionalCap)
+    || leverageBrackets[leverageBrackets.length - 1];
+}
+
+/**
+ * Maintenance margin позиції: notional * maintMarginRatio - cum
+ */
+export function getMaintenanceMargin(leverageBrackets, notional) {
+  if (leverageBrackets.length === 0) {
+    return 0;
+  }
+
+  const bracket = findLeverageBracket(leverageBrackets, notional);
+  return Math.max(0, notional * bracket.maintMarginRatio - bracket.cum);
+}
+
+/**
+ * Максимальний notional для плеча: не більше cap bracket'ів, що дозволяють це плече,
+ * і так, щоб initial + maintenance margin вкладались у доступну маржу
+ */
+export function getMaxNotional(leverageBrackets, leverage, availableMargin) {
+  let maxNotional = 0;
+
+  for (const bracket of leverageBrackets) {
+    if (bracket.initialLeverage < leverage) {
+      continue;
+    }
+
+    // notional / leverage + (notional * maintMarginRatio - cum) <= availableMargin
+    const marginLimit = (availableMargin + bracket.cum) / (1 / leverage + bracket.maintMarginRatio);
+    const limit = Math.min(bracket.notionalCap, marginLimit);
+
+    if (limit >= bracket.notionalFloor) {
+      maxNotional = Math.max(maxNotional, limit);
+    }
+  }
+
+  return maxNotional;
+}
+
+/**
+ * Оцінка ціни ліквідації запланованої позиції (формула Binance для однієї позиції):
+ * LP = (margin + cum - side * quantity * entryPrice) / (quantity * maintMarginRatio - side * quantity)
+ * @param {Object} params - { direction, entryPrice, quantity, leverage, marginType, balance, leverageBrackets }
+ */
+export function estimateLiquidationPrice({ direction, entryPrice, quantity, leverage, marginType, balance, leverageBrackets = [] }) {
+  const notional = entryPrice * quantity;
+  const { maintMarginRatio, cum } = leverageBrackets.length > 0
+    ? findLeverageBracket(leverageBrackets, notional)
+    : { maintMarginRatio: DEFAULT_MAINT_MARGIN_RATIO, cum: 0 };
+
+  // ISOLATED - позицію тримає лише її маржа, CROSSED - весь доступний баланс
+  const margin = marginType === 'ISOLATED' ? notional / leverage : balance;
+  // Примусове закриття списує taker комісію з маржі
+  const collateral = margin - notional * (config.risk.takerFeePercent / 100);
+
+  const side = direction === 'LONG' ? 1 : -1;
+  const liquidationPrice = (collateral + cum - side * quantity * entryPrice) / (quantity * maintMarginRatio - side * quantity);
+
+  return Math.max(0, liquidationPrice);
+}
+
+/**
+ * Найбільше плече ISOLATED позиції, за якого ліквідація лежить далі за SL на bufferPercent.
+ * Обернена формула estimateLiquidationPrice:
+ * 1 / leverage >= side * (1 - s) + s * maintMarginRatio + fee - cum / notional, s = межа ліквідації / entryPrice
+ */
+export function getMaxSafeLeverage({ direction, entryPrice, stopLoss, notional, leverageBrackets, bufferPercent }) {
+  const { maintMarginRatio, cum } = leverageBrackets.length > 0
+    ? findLeverageBracket(leverageBrackets, notional)
+    : { maintMarginRatio: DEFAULT_MAINT_MARGIN_RATIO, cum: 0 };
+
+  const side = direction === 'LONG' ? 1 : -1;
+  const limit = stopLoss / entryPrice - side * (bufferPercent / 100);
+  const minMarginRatio = side * (1 - limit) + limit * maintMarginRatio
+    + config.risk.takerFeePercent / 100 - cum / notional;
+
+  return minMarginRatio > 0 ? Math.floor(1 / minMarginRatio) : Infinity;
+}
+
+/**
+ * Запас між Stop Loss та ціною ліквідації у % від ціни входу
+ * (від'ємний - SL за ціною ліквідації і не спрацює)
+ */
+export function getLiquidationBuffer(direction, entryPrice, stopLoss, liquidationPrice) {
+  const distance = direction === 'LONG'
+    ? stopLoss - liquidationPrice
+    : liquidationPrice - stopLoss;
+
+  return (distance / entryPrice) * 100;
+}
+
+/**
+ * Профіль ризику сигналу - єдине місце злиття config.risk з перевизначеннями
+ * типу сигналу та символу (символ має пріоритет).
+ * enabled: false, якщо торгівлю вимкнено будь-яким з профілів;
+ * useAtr: SL/TP від ATR, якщо профілі не задають їх явно
+ */
+export function resolveRiskProfile(symbol = null, signalType = null) {
+  const { leverage, percentage, stopLossPercent, takeProfitPercent, marginType } = config.risk;
+  const sources = [
+    ['signalType', signalType, config.riskProfiles.signalTypes[signalType]],
+    ['symbol', symbol, config.riskProfiles.symbols[symbol]]
+  ].filter(([, , overrides]) => overrides);
+  const overrides = sources.map(([, , profile]) => profile);
+
+  return {
+    leverage,
+    percentage,
+    stopLossPercent,
+    takeProfitPercent,
+    marginType,
+    ...Object.assign({}, ...overrides),
+    enabled: overrides.every(profile => profile.enabled !== false),
+    useAtr: config.volatility.enabled && !overrides.some(profile =>
+      profile.stopLossPercent !== undefined || profile.takeProfitPercent !== undefined),
+    name: sources.map(([scope, key]) => `${scope} ${key}`).join(', ') || 'default'
+  };
+}
+
+/**
+ * Відстані SL/TP у % від ціни входу: кратні ATR в межах min/max
+ * або фіксовані відсотки профілю ризику без ATR
+ */
+export function getStopDistances(entryPrice, atr = null, profile = config.risk) {
+  if (!atr) {
+    return {
+      stopLossPercent: profile.stopLossPercent,
+      takeProfitPercent: profile.takeProfitPercent,
+      source: 'FIXED'
+    };
+  }
+
+  const volatility = config.volatility;
+  const atrPercent = (atr / entryPrice) * 100;
+  const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+  return {
+    stopLossPercent: clamp(atrPercent * volatility.stopLossMultiplier, volatility.minStopLossPercent, volatility.maxStopLossPercent),
+    takeProfitPercent: clamp(atrPercent * volatility.takeProfitMultiplier, volatility.minTakeProfitPercent, volatility.maxTakeProfitPercent),
+    source: 'ATR',
+    atr
+  };
+}
+
+/**
+ * Розмір позиції та TP/SL для заданого плеча
+ */
+function sizePosition(balance, entryPrice, direction, symbolInfo, leverageBrackets, leverage, distances, riskPercent) {
+  // 1. Розрахувати ризик в USDT
+  const riskAmount = balance * (riskPercent / 100);
+
+  // 2. Розрахувати Stop Loss ціну
+  const stopLossPrice = direction === 'LONG'
+    ? entryPrice * (1 - distances.stopLossPercent / 100)
+    : entryPrice * (1 + distances.stopLossPercent / 100);
+
+  // 3. Розрахувати відстань до SL
+  const stopLossDistance = Math.abs(entryPrice - stopLossPrice);
+  
+  if (stopLossDistance <= 0) {
+    throw new Error('Stop loss distance is zero or negative');
+  }
+
+  // 4. Розрахувати розмір позиції (в USDT)
+  // Формула: positionSize = (riskAmount / stopLossDistance) * entryPrice
+  let positionSize = (riskAmount / stopLossDistance) * entryPrice;
+
+  // 5. З урахуванням плеча
+  let requiredMargin = positionSize / leverage;
+
+  // ✅ ВИПРАВЛЕННЯ: Перевірка достатності балансу з толерантністю 0.001 USDT
+  const marginTolerance = 0.001; // 0.001 USDT толерантність для округлення
+  
+  if (requiredMargin > balance + marginTolerance) {
+    logger.warn(`[RISK] Required margin (${requiredMargin.toFixed(8)} USDT) exceeds balance (${balance} USDT)`);
+    // Перерахувати з максимально доступним балансом (віднімаємо 0.5% для безпеки)
+    positionSize = (balance * 0.995) * leverage;
+    requiredMargin = positionSize / leverage;
+  }
+
+  // 6. Обмеження leverage brackets: notional cap для плеча та maintenance margin
+  let maxNotional = null;
+  if (leverageBrackets.length > 0) {
+    maxNotional = getMaxNotional(leverageBrackets, leverage, balance * 0.995);
+
+    if (maxNotional <= 0) {
+      throw new Error(`Leverage ${leverage}x exceeds the maximum allowed by leverage brackets`);
+    }
+
+    if (positionSize > maxNotional) {
+      logger.warn(`[RISK] Position size (${positionSize.toFixed(2)} USDT) exceeds leverage bracket limit (${maxNotional.toFixed(2)} USDT), clamping`);
+      positionSize = maxNotional;
+      requiredMargin = positionSize / leverage;
+    }
+  }
+
+  // 7. Розрахувати кількість контрактів (до округлення)
+  const rawQuantity = positionSize / entryPrice;
+
+  // 8. Розрахувати Take Profit ціну
+  const takeProfitPrice = direction === 'LONG'
+    ? entryPrice * (1 + distances.takeProfitPercent / 100)
+    : entryPrice * (1 - distances.takeProfitPercent / 100);
+
+  // 9. Привести значення до фільтрів біржі (stepSize, tickSize, minNotional)
+  const order = normalizeOrderParams({
+    direction,
+    entryPrice,
+    quantity: rawQuantity,
+    stopLoss: stopLossPrice,
+    takeProfit: takeProfitPrice
+  }, symbolInfo, { maxUpsizePercent: config.risk.maxUpsizePercent });
+
+  const quantity = parseFloat(order.quantity);
+  const roundedEntryPrice = parseFloat(order.entryPrice);
+  const roundedStopLoss = parseFloat(order.stopLoss);
+  const roundedTakeProfit = parseFloat(order.takeProfit);
+  positionSize = parseFloat(order.notional);
+
+  // Фінальна перевірка маржі з толерантністю
+  const finalRequiredMargin = (quantity * entryPrice) / leverage;
+  
+  // ✅ ВИПРАВЛЕННЯ: Використовуємо толерантність при фінальній перевірці
+  if (finalRequiredMargin > balance + marginTolerance) {
+    logger.error(`[RISK] Final margin check failed: Required ${finalRequiredMargin.toFixed(8)} USDT > Available ${balance} USDT`);
+    throw new Error(`Insufficient balance. Required: ${finalRequiredMargin.toFixed(8)} USDT, Available: ${balance} USDT`);
+  }
+
+  // Мінімальні фільтри могли збільшити кількість понад ліміт bracket'а
+  if (maxNotional !== null && positionSize > maxNotional) {
+    throw new Error(`Position size ${positionSize} USDT exceeds leverage bracket limit ${maxNotional.toFixed(2)} USDT`);
+  }
+
+  const maintenanceMargin = getMaintenanceMargin(leverageBrackets, positionSize);
+
+  return {
+    entryPrice: roundedEntryPrice,
+    quantity: quantity,
+    positionSize: positionSize,
+    leverage: leverage,
+    requiredMargin: finalRequiredMargin,
+    maintenanceMargin: maintenanceMargin,
+    stopLoss: roundedStopLoss,
+    takeProfit: roundedTakeProfit,
+    riskAmount: riskAmount,
+    direction: direction,
+    order: order // точні рядки для ордерів
+  };
+}
+
 /**
  * Розраховує параметри позиції на основі risk management правил
  * @param {number} balance - баланс USDT на Futures акаунті
  * @param {number} entryPrice - поточна ціна входу
  * @param {string} direction - 'LONG' або 'SHORT'
- * @param {Object} symbolInfo - інформація про символ (tickSize, minQty, maxQty, pricePrecision)
+ * @param {Object} symbolInfo - інформація про символ з exchangeInfo (фільтри PRICE_FILTER, LOT_SIZE, MIN_NOTIONAL...)
+ * @param {Array} leverageBrackets - leverage brackets символу (порожній масив - без обмежень)
+ * @param {number|null} atr - ATR символу для SL/TP від волатильності (null - фіксовані відсотки)
+ * @param {Object} profile - профіль ризику (resolveRiskProfile): плече, ризик %, SL/TP %, тип маржі
  * @returns {Object} параметри позиції
  */
-export function calculatePositionParameters(balance, entryPrice, direction, symbolInfo = {}) {
+export function calculatePositionParameters(balance, entryPrice, direction, symbolInfo = {}, leverageBrackets = [], atr = null, profile = resolveRiskProfile()) {
   try {
     // Валідація вхідних даних
     if (!isValidNumber(balance) || balance <= 0) {
@@ -25,95 +287,80 @@ export function calculatePositionParameters(balance, entryPrice, direction, symb
       throw new Error(`Invalid direction: ${direction}. Must be LONG or SHORT`);
     }
 
-    // 1. Розрахувати ризик в USDT
-    const riskAmount = balance * (config.risk.percentage / 100);
-    logger.info(`[RISK] Balance: ${balance} USDT, Risk: ${config.risk.percentage}% = ${riskAmount} USDT`);
-
-    // 2. Розрахувати Stop Loss ціну
-    const stopLossPrice = direction === 'LONG'
-      ? entryPrice * (1 - config.risk.stopLossPercent / 100)  // -0.3%
-      : entryPrice * (1 + config.risk.stopLossPercent / 100); // +0.3%
+    logger.info(`[RISK] Balance: ${balance} USDT, Risk: ${profile.percentage}% = ${balance * (profile.percentage / 100)} USDT (profile: ${profile.name})`);
 
-    // 3. Розрахувати відстань до SL
-    const stopLossDistance = Math.abs(entryPrice - stopLossPrice);
-    
-    if (stopLossDistance <= 0) {
-      throw new Error('Stop loss distance is zero or negative');
+    // Розмір позиції рахується від відстані до SL, тож ризик в USDT не залежить від режиму
+    const distances = getStopDistances(entryPrice, atr, profile);
+    if (distances.source === 'ATR') {
+      logger.info(`[RISK] ATR ${atr}: SL ${distances.stopLossPercent.toFixed(3)}%, TP ${distances.takeProfitPercent.toFixed(3)}%`);
     }
 
-    // 4. Розрахувати розмір позиції (в USDT)
-    // Формула: positionSize = (riskAmount / stopLossDistance) * entryPrice
-    let positionSize = (riskAmount / stopLossDistance) * entryPrice;
+    // SL має спрацювати раніше ліквідації із запасом minLiquidationBufferPercent.
+    // Інакше (LIQUIDATION_ACTION=REDUCE, ISOLATED) зменшуємо плече до безпечного.
+    // CROSSED: ліквідація залежить від балансу гаманця, а розмір від ризику - плече запас не змінить
+    let leverage = profile.leverage;
+    let result;
+    let liquidationPrice;
+    let liquidationBuffer;
 
-    // 5. З урахуванням плеча
-    const leverage = config.risk.leverage;
-    let requiredMargin = positionSize / leverage;
+    while (true) {
+      result = sizePosition(balance, entryPrice, direction, symbolInfo, leverageBrackets, leverage, distances, profile.percentage);
 
-    // ✅ ВИПРАВЛЕННЯ: Перевірка достатності балансу з толерантністю 0.001 USDT
-    const marginTolerance = 0.001; // 0.001 USDT толерантність для округлення
-    
-    if (requiredMargin > balance + marginTolerance) {
-      logger.warn(`[RISK] Required margin (${requiredMargin.toFixed(8)} USDT) exceeds balance (${balance} USDT)`);
-      // Перерахувати з максимально доступним балансом (віднімаємо 0.5% для безпеки)
-      positionSize = (balance * 0.995) * leverage;
-      requiredMargin = positionSize / leverage;
-    }
+      liquidationPrice = estimateLiquidationPrice({
+        direction,
+        entryPrice: result.entryPrice,
+        quantity: result.quantity,
+        leverage,
+        marginType: profile.marginType,
+        balance,
+        leverageBrackets
+      });
+      liquidationBuffer = getLiquidationBuffer(direction, result.entryPrice, result.stopLoss, liquidationPrice);
 
-    // 6. Розрахувати кількість контрактів
-    let quantity = positionSize / entryPrice;
-
-    // 7. Розрахувати Take Profit ціну
-    const takeProfitPrice = direction === 'LONG'
-      ? entryPrice * (1 + config.risk.takeProfitPercent / 100)  // +0.5%
-      : entryPrice * (1 - config.risk.takeProfitPercent / 100); // -0.5%
-
-    // 8. Округлити значення згідно з вимогами біржі
-    const tickSize = symbolInfo.tickSize || 0.0001;
-    const pricePrecision = symbolInfo.pricePrecision !== undefined ? symbolInfo.pricePrecision : 4;
-    const minQty = symbolInfo.minQty || 0;
-    const maxQty = symbolInfo.maxQty || Infinity;
-
-    quantity = roundQuantity(quantity, tickSize);
-    const roundedEntryPrice = roundPrice(entryPrice, pricePrecision);
-    const roundedStopLoss = roundPrice(stopLossPrice, pricePrecision);
-    const roundedTakeProfit = roundPrice(takeProfitPrice, pricePrecision);
-
-    // Перевірка мінімальних/максимальних обмежень
-    if (quantity < minQty) {
-      logger.warn(`[RISK] Calculated quantity (${quantity}) is less than minimum (${minQty}). Using minimum.`);
-      quantity = minQty;
-      // Перерахувати positionSize
-      positionSize = quantity * entryPrice;
-    }
+      if (liquidationBuffer >= config.risk.minLiquidationBufferPercent) {
+        break;
+      }
+
+      if (config.risk.liquidationAction === 'REJECT' || profile.marginType !== 'ISOLATED' || leverage <= 1) {
+        throw new Error(`Stop loss ${result.stopLoss} is too close to liquidation price ${liquidationPrice.toFixed(8)} at ${leverage}x (buffer ${liquidationBuffer.toFixed(2)}%, min ${config.risk.minLiquidationBufferPercent}%)`);
+      }
 
-    if (quantity > maxQty) {
-      logger.warn(`[RISK] Calculated quantity (${quantity}) exceeds maximum (${maxQty}). Using maximum.`);
-      quantity = maxQty;
-      positionSize = quantity * entryPrice;
+      logger.warn(`[RISK] Liquidation buffer ${liquidationBuffer.toFixed(2)}% at ${leverage}x is below ${config.risk.minLiquidationBufferPercent}%, reducing leverage`);
+
+      // Одразу до розрахункового безпечного плеча
+      const safeLeverage = getMaxSafeLeverage({
+        direction,
+        entryPrice: result.entryPrice,
+        stopLoss: result.stopLoss,
+        notional: result.positionSize,
+        leverageBrackets,
+        bufferPercent: config.risk.minLiquidationBufferPercent
+      });
+      leverage = Math.max(1, Math.min(leverage - 1, safeLeverage));
     }
 
-    // Фінальна перевірка маржі з толерантністю
-    const finalRequiredMargin = (quantity * entryPrice) / leverage;
-    
-    // ✅ ВИПРАВЛЕННЯ: Використовуємо толерантність при фінальній перевірці
-    if (finalRequiredMargin > balance + marginTolerance) {
-      logger.error(`[RISK] Final margin check failed: Required ${finalRequiredMargin.toFixed(8)} USDT > Available ${balance} USDT`);
-      throw new Error(`Insufficient balance. Required: ${finalRequiredMargin.toFixed(8)} USDT, Available: ${balance} USDT`);
+    if (leverage !== profile.leverage) {
+      logger.warn(`[RISK] Leverage reduced from ${profile.leverage}x to ${leverage}x to keep stop loss before liquidation`);
     }
 
-    const result = {
-      entryPrice: roundedEntryPrice,
-      quantity: quantity,
-      positionSize: positionSize,
-      leverage: leverage,
-      requiredMargin: finalRequiredMargin,
-      stopLoss: roundedStopLoss,
-      takeProfit: roundedTakeProfit,
-      riskAmount: riskAmount,
-      direction: direction
-    };
+    result.liquidationPrice = liquidationPrice;
+    result.liquidationBuffer = liquidationBuffer;
+
+    // Ступінчастий TP замість одного ордера на всю кількість
+    if (config.takeProfitLadder.levels.length > 0) {
+      const ladder = normalizeTakeProfitLadder(config.takeProfitLadder.levels, { direction, ...result.order }, symbolInfo);
 
-    logger.info(`[RISK] Calculated position: ${quantity} @ ${roundedEntryPrice}, Margin: ${finalRequiredMargin.toFixed(8)} USDT, TP: ${roundedTakeProfit}, SL: ${roundedStopLoss}`);
+      if (ladder.length > 0) {
+        result.order.takeProfits = ladder;
+        result.takeProfits = ladder.map(level => ({ ...level, price: parseFloat(level.price), quantity: parseFloat(level.quantity) }));
+        result.takeProfit = result.takeProfits[result.takeProfits.length - 1].price;
+        logger.info(`[RISK] TP ladder: ${result.takeProfits.map(level => `${level.quantity} @ ${level.price}`).join(', ')}`);
+      } else {
+        logger.warn(`[RISK] Quantity ${result.quantity} is too small for TP ladder, using single TP`);
+      }
+    }
+
+    logger.info(`[RISK] Calculated position: ${result.quantity} @ ${result.entryPrice}, Margin: ${result.requiredMargin.toFixed(8)} USDT, TP: ${result.takeProfit}, SL: ${result.stopLoss}, Liq: ${liquidationPrice.toFixed(8)} (${liquidationBuffer.toFixed(2)}% buffer)`);
 
     return result;
   } catch (error) {
@@ -122,6 +369,91 @@ export function calculatePositionParameters(balance, entryPrice, direction, symb
   }
 }
 
+/**
+ * Групи корельованих символів, до яких входить символ
+ */
+function getCorrelationGroups(symbol) {
+  return config.portfolio.correlationGroups.filter(group => group.symbols.includes(symbol));
+}
+
+/**
+ * Експозиція портфеля: notional та маржа позицій загалом, по напрямках та групах
+ * @param {Array} positions - [{ symbol, direction, notional, margin }]
+ */
+export function getPortfolioExposure(positions) {
+  const exposure = { totalNotional: 0, totalMargin: 0, longNotional: 0, shortNotional: 0, groups: {} };
+
+  for (const position of positions) {
+    exposure.totalNotional += position.notional;
+    exposure.totalMargin += position.margin;
+
+    if (position.direction === 'LONG') {
+      exposure.longNotional += position.notional;
+    } else {
+      exposure.shortNotional += position.notional;
+    }
+
+    for (const group of getCorrelationGroups(position.symbol)) {
+      exposure.groups[group.name] = exposure.groups[group.name] || { LONG: 0, SHORT: 0 };
+      exposure.groups[group.name][position.direction] += position.notional;
+    }
+  }
+
+  exposure.netNotional = exposure.longNotional - exposure.shortNotional;
+  return exposure;
+}
+
+/**
+ * Перевіряє ліміти експозиції портфеля з урахуванням нової позиції.
+ * Ліміти - у % від капіталу: доступний баланс + маржа відкритих позицій
+ * @param {Object} candidate - нова позиція { symbol, direction, notional, margin }
+ * @param {Array} positions - відкриті позиції [{ symbol, direction, notional, margin }]
+ * @param {number} balance - доступний баланс USDT
+ * @returns {Object} { valid, reason, info } у форматі validateSignal
+ */
+export function checkPortfolioLimits(candidate, positions, balance) {
+  const limits = config.portfolio;
+  const current = getPortfolioExposure(positions);
+  const after = getPortfolioExposure([...positions, candidate]);
+
+  const capital = balance + current.totalMargin;
+  const percentOf = value => (capital > 0 ? (value / capital) * 100 : Infinity);
+
+  const reject = (reason, value, limitPercent) => ({
+    valid: false,
+    reason,
+    info: {
+      exposure: `${value.toFixed(2)} USDT (${percentOf(value).toFixed(1)}% of capital)`,
+      limit: `${limitPercent}% of capital (${(capital * limitPercent / 100).toFixed(2)} USDT)`
+    }
+  });
+
+  if (limits.maxTotalNotionalPercent > 0 && percentOf(after.totalNotional) > limits.maxTotalNotionalPercent) {
+    return reject('Portfolio limit: max total notional exceeded', after.totalNotional, limits.maxTotalNotionalPercent);
+  }
+
+  if (limits.maxMarginUtilizationPercent > 0 && percentOf(after.totalMargin) > limits.maxMarginUtilizationPercent) {
+    return reject('Portfolio limit: max margin utilisation exceeded', after.totalMargin, limits.maxMarginUtilizationPercent);
+  }
+
+  // Позиція, що зменшує чисту експозицію (хедж), лімітом не блокується
+  const netAfter = Math.abs(after.netNotional);
+  if (limits.maxNetExposurePercent > 0 && netAfter > Math.abs(current.netNotional) && percentOf(netAfter) > limits.maxNetExposurePercent) {
+    return reject(`Portfolio limit: max net ${after.netNotional > 0 ? 'long' : 'short'} exposure exceeded`, netAfter, limits.maxNetExposurePercent);
+  }
+
+  for (const group of getCorrelationGroups(candidate.symbol)) {
+    const groupNotional = after.groups[group.name][candidate.direction];
+    if (percentOf(groupNotional) > group.maxNotionalPercent) {
+      return reject(`Portfolio limit: ${group.name} group ${candidate.direction} exposure exceeded`, groupNotional, group.maxNotionalPercent);
+    }
+  }
+
+  logger.info(`[RISK] Portfolio after entry: notional ${after.totalNotional.toFixed(2)} USDT, margin ${percentOf(after.totalMargin).toFixed(1)}%, net ${after.netNotional.toFixed(2)} USDT`);
+
+  return { valid: true };
+}
+
 /**
  * Перевіряє чи достатньо балансу для відкриття позиції
  */
@@ -133,5 +465,15 @@ export function hasSufficientBalance(balance, requiredMargin) {
 
 export default {
   calculatePositionParameters,
+  findLeverageBracket,
+  getMaintenanceMargin,
+  getMaxNotional,
+  estimateLiquidationPrice,
+  getMaxSafeLeverage,
+  getLiquidationBuffer,
+  getStopDistances,
+  resolveRiskProfile,
+  getPortfolioExposure,
+  checkPortfolioLimits,
   hasSufficientBalance
 };
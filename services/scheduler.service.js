@@ -0,0 +1,266 @@
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+import { sleep } from '../utils/helpers.js';
+
+/**
+ * Пріоритети запитів (менше число - вищий пріоритет)
+ */
+export const PRIORITY = {
+  HIGH: 0,    // розміщення / скасування ордерів
+  NORMAL: 1,  // баланс, ціни, плече, exchangeInfo
+  LOW: 2      // моніторинг та звіти
+};
+
+/**
+ * Частка ліміту ваги, доступна кожному пріоритету.
+ * Решта резервується для ордерів
+ */
+const WEIGHT_BUDGET = {
+  [PRIORITY.HIGH]: 1,
+  [PRIORITY.NORMAL]: 0.9,
+  [PRIORITY.LOW]: 0.75
+};
+
+/**
+ * Вага endpoint'ів Binance-сумісного API (шлях без префікса /fapi/vN)
+ */
+const ENDPOINT_WEIGHTS = {
+  '/ping': 1,
+  '/time': 1,
+  '/exchangeInfo': 1,
+  '/ticker/price': 1,
+  '/klines': 1,
+  '/balance': 5,
+  '/leverage': 1,
+  '/marginType': 1,
+  '/leverageBracket': 1,
+  '/order': 1,
+  '/openOrders': 1,
+  '/positionRisk': 5,
+  '/userTrades': 5,
+  '/income': 30,
+  '/listenKey': 1,
+  '/positionSide/dual': 30
+};
+
+/**
+ * Шлях endpoint'а без версії API (/fapi/v3/order -> /order),
+ * щоб ваги та пріоритети були спільними для всіх бірж
+ */
+function getEndpointPath(endpoint) {
+  return endpoint.replace(/^\/fapi\/v\d+/, '');
+}
+
+/**
+ * Вага запиту (деякі endpoint'и без symbol значно дорожчі)
+ */
+export function getEndpointWeight(endpoint, params = {}) {
+  const path = getEndpointPath(endpoint);
+
+  if (path === '/openOrders' && !params.symbol) {
+    return 40;
+  }
+  if (path === '/ticker/price' && !params.symbol) {
+    return 2;
+  }
+  if (path === '/klines') {
+    const limit = parseInt(params.limit) || 500;
+    return limit < 100 ? 1 : limit < 500 ? 2 : limit <= 1000 ? 5 : 10;
+  }
+  return ENDPOINT_WEIGHTS[path] || 1;
+}
+
+/**
+ * Пріоритет запиту за замовчуванням
+ */
+export function getEndpointPriority(method, endpoint) {
+  const path = getEndpointPath(endpoint);
+
+  if (path === '/order' && (method === 'POST' || method === 'DELETE')) {
+    return PRIORITY.HIGH;
+  }
+
+  if (['/positionRisk', '/userTrades', '/openOrders', '/income'].includes(path)) {
+    return PRIORITY.LOW;
+  }
+
+  return PRIORITY.NORMAL;
+}
+
+/**
+ * Черга запитів з урахуванням ваги, лімітів ордерів та пріоритетів
+ */
+class RequestScheduler {
+  constructor(limits = config.exchange.rateLimit) {
+    this.limits = limits;
+    this.queue = [];
+    this.sequence = 0;
+    this.isProcessing = false;
+    this.lastDispatch = 0;
+    this.pausedUntil = 0;
+
+    // Лічильники поточних вікон (хвилина для ваги, 10с/хвилина для ордерів)
+    this.weightWindow = 0;
+    this.usedWeight = 0;
+    this.orderWindow10s = 0;
+    this.orderCount10s = 0;
+    this.orderWindow1m = 0;
+    this.orderCount1m = 0;
+  }
+
+  /**
+   * Ставить запит у чергу
+   * @param {Function} task - async функція, що виконує запит
+   * @param {Object} options - { weight, priority, isOrder }
+   */
+  schedule(task, { weight = 1, priority = PRIORITY.NORMAL, isOrder = false } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject, weight, priority, isOrder, sequence: this.sequence++ });
+      this.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+      this.process();
+    });
+  }
+
+  /**
+   * Обробляє чергу, поки вистачає бюджету
+   */
+  async process() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      while (this.queue.length > 0) {
+        // Перевіряємо голову черги щоразу - за час очікування міг прийти важливіший запит
+        const waitMs = this.getWaitTime(this.queue[0]);
+        if (waitMs > 0) {
+          await sleep(waitMs);
+          continue;
+        }
+
+        const item = this.queue.shift();
+        this.consume(item);
+        this.lastDispatch = Date.now();
+
+        item.task().then(item.resolve, item.reject);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Скидає лічильники, якщо вікно минуло
+   */
+  rollWindows(now) {
+    const minute = Math.floor(now / 60000);
+    const tenSeconds = Math.floor(now / 10000);
+
+    if (minute !== this.weightWindow) {
+      this.weightWindow = minute;
+      this.usedWeight = 0;
+    }
+    if (tenSeconds !== this.orderWindow10s) {
+      this.orderWindow10s = tenSeconds;
+      this.orderCount10s = 0;
+    }
+    if (minute !== this.orderWindow1m) {
+      this.orderWindow1m = minute;
+      this.orderCount1m = 0;
+    }
+  }
+
+  /**
+   * Скільки чекати перед відправкою запиту (0 - можна зараз)
+   */
+  getWaitTime(item) {
+    const now = Date.now();
+    this.rollWindows(now);
+
+    if (this.pausedUntil > now) {
+      return this.pausedUntil - now;
+    }
+
+    const sinceLastDispatch = now - this.lastDispatch;
+    if (sinceLastDispatch < this.limits.minRequestIntervalMs) {
+      return this.limits.minRequestIntervalMs - sinceLastDispatch;
+    }
+
+    const weightBudget = this.limits.weightPerMinute * WEIGHT_BUDGET[item.priority];
+    if (this.usedWeight + item.weight > weightBudget) {
+      return 60000 - (now % 60000);
+    }
+
+    if (item.isOrder) {
+      if (this.orderCount10s + 1 > this.limits.ordersPer10s) {
+        return 10000 - (now % 10000);
+      }
+      if (this.orderCount1m + 1 > this.limits.ordersPerMinute) {
+        return 60000 - (now % 60000);
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Списує вагу / ордер з поточних вікон
+   */
+  consume(item) {
+    this.usedWeight += item.weight;
+    if (item.isOrder) {
+      this.orderCount10s++;
+      this.orderCount1m++;
+    }
+  }
+
+  /**
+   * Синхронізує лічильники із заголовками відповіді (сервер знає точніше,
+   * напр. якщо з цієї IP працюють інші клієнти)
+   */
+  updateFromHeaders(headers = {}) {
+    this.rollWindows(Date.now());
+
+    const usedWeight = parseInt(headers['x-mbx-used-weight-1m']);
+    const orderCount10s = parseInt(headers['x-mbx-order-count-10s']);
+    const orderCount1m = parseInt(headers['x-mbx-order-count-1m']);
+
+    if (!isNaN(usedWeight)) {
+      this.usedWeight = Math.max(this.usedWeight, usedWeight);
+
+      if (usedWeight > this.limits.weightPerMinute * WEIGHT_BUDGET[PRIORITY.LOW]) {
+        logger.warn(`[SCHEDULER] High API weight usage: ${usedWeight}/${this.limits.weightPerMinute}`);
+      }
+    }
+    if (!isNaN(orderCount10s)) {
+      this.orderCount10s = Math.max(this.orderCount10s, orderCount10s);
+    }
+    if (!isNaN(orderCount1m)) {
+      this.orderCount1m = Math.max(this.orderCount1m, orderCount1m);
+    }
+  }
+
+  /**
+   * Зупиняє відправку запитів (після 429 / Retry-After)
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    logger.warn(`[SCHEDULER] Requests paused for ${ms}ms`);
+  }
+
+  /**
+   * Поточний стан для логів / статусу
+   */
+  getStatus() {
+    this.rollWindows(Date.now());
+    return {
+      queued: this.queue.length,
+      usedWeight: this.usedWeight,
+      orderCount10s: this.orderCount10s,
+      orderCount1m: this.orderCount1m
+    };
+  }
+}
+
+export default RequestScheduler;
@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Стан за замовчуванням (порожній файл або перший запуск)
+ */
+function createDefaultState() {
+  return {
+    version: 1,
+    openPositions: [],
+    closedPositions: [],
+    statistics: null,
+    updatedAt: null
+  };
+}
+
+class StateService {
+  constructor() {
+    // Відносний шлях рахуємо від кореня проєкту, як і для логів
+    this.filePath = path.isAbsolute(config.state.filePath)
+      ? config.state.filePath
+      : path.join(__dirname, '..', config.state.filePath);
+    this.state = createDefaultState();
+    this.isLoaded = false;
+  }
+
+  /**
+   * Завантажує стан з диску (викликається один раз при старті)
+   */
+  load() {
+    if (this.isLoaded) {
+      return this.state;
+    }
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        this.state = { ...createDefaultState(), ...JSON.parse(raw) };
+        logger.info(`[STATE] Loaded state from ${this.filePath}`);
+      } else {
+        logger.info(`[STATE] No state file found at ${this.filePath}, starting fresh`);
+      }
+    } catch (error) {
+      // Пошкоджений файл не видаляємо - зберігаємо копію для ручного аналізу
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      logger.error(`[STATE] Error loading state: ${error.message}. Backup: ${backupPath}`);
+
+      try {
+        fs.copyFileSync(this.filePath, backupPath);
+      } catch (copyError) {
+        logger.error(`[STATE] Error backing up state file: ${copyError.message}`);
+      }
+
+      this.state = createDefaultState();
+    }
+
+    this.isLoaded = true;
+    return this.state;
+  }
+
+  /**
+   * Записує стан на диск атомарно (tmp файл + rename),
+   * щоб падіння посеред запису не залишило пошкоджений JSON
+   */
+  save() {
+    try {
+      this.state.updatedAt = Date.now();
+
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      logger.error(`[STATE] Error saving state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Отримує значення за ключем
+   */
+  get(key) {
+    return this.state[key];
+  }
+
+  /**
+   * Встановлює значення і одразу записує стан на диск (write-through)
+   */
+  set(key, value) {
+    this.state[key] = value;
+    this.save();
+  }
+
+  /**
+   * Оновлює кілька ключів одним записом на диск
+   */
+  update(values) {
+    Object.assign(this.state, values);
+    this.save();
+  }
+}
+
+// Експортуємо singleton
+const stateService = new StateService();
+export default stateService;
@@ -1,6 +1,7 @@
 import TelegramBot from 'node-telegram-bot-api';
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
+import { calculatePnL } from '../utils/helpers.js';
 
 /**
  * Нормалізує напрямок угоди на основі типу сигналу.
@@ -31,6 +32,18 @@ function normalizeDirection(rawDirection, rawSignalType) {
   return 'LONG';
 }
 
+/**
+ * Підписи причин закриття позиції
+ */
+const EXIT_REASON_LABELS = {
+  TP: '🎯 Take Profit',
+  SL: '🛑 Stop Loss',
+  LIQUIDATION: '💥 Liquidation',
+  MANUAL: '✋ Manual close',
+  EXTERNAL: '🔌 External order',
+  UNKNOWN: '❔ Unknown'
+};
+
 class TelegramService {
   constructor() {
     this.bot = new TelegramBot(config.telegram.botToken, { polling: true });
@@ -231,7 +244,9 @@ class TelegramService {
       takeProfit, 
       stopLoss, 
       riskAmount,
-      balance  // ✅ Додай balance тут!
+      balance,  // ✅ Додай balance тут!
+      liquidationPrice,
+      liquidationBuffer
     } = positionData;
     
     // ✅ Безпечна обробка symbol
@@ -250,6 +265,20 @@ class TelegramService {
       ? (riskAmount / balance * 100).toFixed(2)
       : '0.00';
     
+    // Ціна ліквідації з точністю ціни входу
+    const priceDecimals = (String(entryPrice).split('.')[1] || '').length;
+    const liquidationLine = liquidationPrice !== undefined
+      ? `\n  ⚠️ <b>Liquidation:</b> ~$${liquidationPrice.toFixed(priceDecimals)} (${liquidationBuffer.toFixed(2)}% beyond SL)`
+      : '';
+
+    // Ступінчастий TP - рядок на кожен рівень, залишок без TP - runner
+    const ladder = positionData.takeProfits || [];
+    const ladderPercent = ladder.reduce((sum, level) => sum + level.sizePercent, 0);
+    const takeProfitLine = ladder.length > 0
+      ? `🎯 <b>Take Profit:</b>${ladder.map(level => `\n    ${level.level}. $${level.price} (+${level.profitPercent}%) - ${level.quantity} (${level.sizePercent}%)`).join('')}` +
+        (ladderPercent < 100 ? `\n    Runner: ${(100 - ladderPercent).toFixed(0)}% on stop` : '')
+      : `🎯 <b>Take Profit:</b> $${takeProfit} (+${tpPercent}%)`;
+    
     return `✅ <b>POSITION OPENED</b>
   
   <b>Symbol:</b> ${symbol}
@@ -258,8 +287,8 @@ class TelegramService {
   <b>Quantity:</b> ${quantity.toLocaleString()} ${cleanSymbol}
   <b>Leverage:</b> ${leverage}x
   
-  🎯 <b>Take Profit:</b> $${takeProfit} (+${tpPercent}%)
-  🛑 <b>Stop Loss:</b> $${stopLoss} (-${slPercent}%)
+  ${takeProfitLine}
+  🛑 <b>Stop Loss:</b> $${stopLoss} (-${slPercent}%)${liquidationLine}
   💰 <b>Risk:</b> $${riskAmount.toFixed(2)} (${balancePercent}% of balance)
   
   Signal from: ${new Date(positionData.timestamp).toLocaleString('en-US', { timeZone: 'UTC' })} UTC`;
@@ -270,10 +299,20 @@ class TelegramService {
    */
   formatPositionClosedMessage(positionData) {
     const { symbol, direction, entryPrice, exitPrice, pnl, pnlPercent, duration } = positionData;
+    const grossPnl = positionData.grossPnl ?? pnl;
+    const fees = positionData.fees || 0;
+    const funding = positionData.funding || 0;
+    const signed = value => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(4)}`;
     
     const isProfit = pnl >= 0;
     const emoji = isProfit ? '🟢' : '🔴';
     const resultText = isProfit ? 'PROFIT' : 'LOSS';
+
+    // Часткові закриття рівнями TP вже входять в загальний P&L
+    const partialCloses = positionData.partialCloses || [];
+    const partialLines = partialCloses.length > 0
+      ? `\n\n<b>Partial closes:</b>${partialCloses.map(p => `\n• TP${p.level}: ${p.quantity} @ $${p.price} (${signed(p.pnl)})`).join('')}`
+      : '';
     
     return `${emoji} <b>POSITION CLOSED - ${resultText}</b>
 
@@ -281,11 +320,134 @@ class TelegramService {
 <b>Direction:</b> ${direction}
 <b>Entry:</b> $${entryPrice}
 <b>Exit:</b> $${exitPrice}
-<b>Result:</b> ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}% (${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)})
+<b>Reason:</b> ${EXIT_REASON_LABELS[positionData.exitReason] || positionData.exitReason || 'Unknown'}
+
+<b>Gross:</b> ${signed(grossPnl)}
+<b>Fees:</b> ${signed(-fees)}
+<b>Funding:</b> ${signed(funding)}
+<b>Net:</b> ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}% (${signed(pnl)})${partialLines}
 
 <b>Duration:</b> ${duration}`;
   }
 
+  /**
+   * Форматує повідомлення про відкат входу (не вдалось встановити TP/SL)
+   */
+  formatEntryRollbackMessage(data) {
+    const closed = !data.closeError;
+
+    let message = `${closed ? '⚠️' : '🚨'} <b>ENTRY ROLLED BACK</b>
+
+<b>Symbol:</b> ${data.symbol}
+<b>Direction:</b> ${data.direction}
+<b>Quantity:</b> ${data.quantity}
+<b>Entry:</b> $${data.entryPrice} (order #${data.entryOrderId})
+<b>Reason:</b> ${data.reason}
+
+<b>TP orders:</b> ${data.tpOrderIds.length > 0 ? data.tpOrderIds.map(id => `#${id}`).join(', ') : 'not placed'}
+<b>SL order:</b> ${data.slOrderId ? `#${data.slOrderId}` : 'not placed'}
+<b>Cancelled:</b> ${data.cancelled.length > 0 ? data.cancelled.join(', ') : 'none'}`;
+
+    if (closed) {
+      message += `\n<b>Flattened:</b> order #${data.closeOrderId} @ $${data.closePrice}`;
+    } else {
+      message += `\n\n🚨 <b>FAILED TO CLOSE POSITION:</b> ${data.closeError}\n<b>Manual intervention required!</b>`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Форматує повідомлення про часткове закриття рівнем TP
+   */
+  formatPartialCloseMessage(data) {
+    const signed = value => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(4)}`;
+
+    return `🎯 <b>PARTIAL CLOSE - TP ${data.level}/${data.levels}</b>
+
+<b>Symbol:</b> ${data.symbol}
+<b>Direction:</b> ${data.direction}
+<b>Entry:</b> $${data.entryPrice}
+<b>Closed:</b> ${data.quantity} @ $${data.price}
+<b>P&L:</b> ${signed(data.pnl)} (fees ${signed(-data.fees)})
+<b>Realized so far:</b> ${signed(data.realizedPnl)}
+<b>Remaining:</b> ${data.remainingQuantity}`;
+  }
+
+  /**
+   * Форматує повідомлення про перенесення SL (break-even / trailing)
+   */
+  formatStopAdjustedMessage(data) {
+    const stageLabel = data.stage === 'BREAK_EVEN' ? 'BREAK-EVEN' : 'TRAILING';
+
+    if (data.error) {
+      let message = `${data.to ? '⚠️' : '🚨'} <b>STOP UPDATE FAILED</b>
+
+<b>Symbol:</b> ${data.symbol}
+<b>Direction:</b> ${data.direction}
+<b>Target (${stageLabel}):</b> failed: ${data.error}`;
+
+      message += data.to
+        ? `\n<b>Stop Loss:</b> restored @ $${data.to}`
+        : `\n\n🚨 <b>POSITION HAS NO STOP LOSS:</b> ${data.restoreError}\n<b>Manual intervention required!</b>`;
+
+      return message;
+    }
+
+    const locked = calculatePnL(data.entryPrice, data.to, data.quantity, data.direction);
+
+    return `🛡 <b>STOP MOVED - ${stageLabel}</b>
+
+<b>Symbol:</b> ${data.symbol}
+<b>Direction:</b> ${data.direction}
+<b>Entry:</b> $${data.entryPrice}
+<b>Price:</b> $${data.price} (+${data.profitPercent.toFixed(2)}%)
+<b>Stop Loss:</b> $${data.from} → $${data.to}
+<b>Locked:</b> ${locked >= 0 ? '+' : '-'}$${Math.abs(locked).toFixed(4)}`;
+  }
+
+  /**
+   * Форматує повідомлення про спрацювання circuit breaker
+   */
+  formatCircuitBreakerMessage(data) {
+    const signed = value => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+
+    let message = `⛔ <b>CIRCUIT BREAKER TRIPPED</b>
+
+<b>Reason:</b> ${data.description}
+<b>Period P&L:</b> ${signed(data.periodPnl)} (realized ${signed(data.realizedPnl)}, unrealized ${signed(data.unrealizedPnl)})
+<b>Equity:</b> $${data.equity.toFixed(2)} (start $${data.startBalance.toFixed(2)}, peak $${data.equityPeak.toFixed(2)})
+<b>Consecutive losses:</b> ${data.consecutiveLosses}`;
+
+    if (data.flattened) {
+      message += `\n\n<b>Flattened positions:</b>`;
+      if (data.flattened.length === 0) {
+        message += ` none open`;
+      }
+      data.flattened.forEach(p => {
+        message += p.error
+          ? `\n🚨 ${p.symbol} ${p.direction}: ${p.error}`
+          : `\n• ${p.symbol} ${p.direction} (order #${p.orderId})`;
+      });
+    }
+
+    message += `\n\nNew entries halted until ${new Date(data.resetAt).toLocaleString('en-US', { timeZone: 'UTC' })} UTC`;
+
+    return message;
+  }
+
+  /**
+   * Форматує повідомлення про скидання circuit breaker
+   */
+  formatCircuitBreakerResetMessage(data) {
+    return `🟢 <b>CIRCUIT BREAKER RESET</b>
+
+<b>Previous trip:</b> ${data.previousTrip.description}
+<b>Start balance:</b> $${data.startBalance.toFixed(2)}
+
+New entries allowed`;
+  }
+
   /**
    * Форматує повідомлення про ігнорування сигналу
    */
@@ -308,6 +470,59 @@ class TelegramService {
       message += `\n<b>Next trading:</b> in ${additionalInfo.nextTrading}`;
     }
 
+    if (additionalInfo.exposure) {
+      message += `\n\n<b>Exposure after entry:</b> ${additionalInfo.exposure}`;
+      message += `\n<b>Limit:</b> ${additionalInfo.limit}`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Форматує звіт про звірку стану з біржею при старті
+   */
+  formatReconciliationMessage(report) {
+    let message = `🔍 <b>STARTUP RECONCILIATION</b>`;
+
+    if (report.adopted.length > 0) {
+      message += `\n\n<b>Adopted positions:</b>`;
+      report.adopted.forEach(p => {
+        message += `\n• ${p.symbol} ${p.direction} ${p.quantity} @ $${p.entryPrice}`;
+      });
+    }
+
+    if (report.manual.length > 0) {
+      message += `\n\n⚠️ <b>Manual positions (no TP/SL):</b>`;
+      report.manual.forEach(p => {
+        message += `\n• ${p.symbol} ${p.direction} ${p.quantity} @ $${p.entryPrice}`;
+      });
+    }
+
+    if (report.closedOffline.length > 0) {
+      message += `\n\n<b>Closed while offline:</b> ${report.closedOffline.join(', ')}`;
+    }
+
+    if (report.quantityMismatch.length > 0) {
+      message += `\n\n<b>Quantity mismatch:</b>`;
+      report.quantityMismatch.forEach(m => {
+        message += `\n• ${m.symbol}: tracked ${m.tracked}, exchange ${m.exchange}`;
+      });
+    }
+
+    if (report.missingOrders.length > 0) {
+      message += `\n\n<b>Missing protective orders:</b>`;
+      report.missingOrders.forEach(o => {
+        message += `\n• ${o.symbol} ${o.label} #${o.orderId}`;
+      });
+    }
+
+    if (report.orphanOrders.length > 0) {
+      message += `\n\n<b>Orders without position:</b>`;
+      report.orphanOrders.forEach(o => {
+        message += `\n• ${o.symbol} ${o.type} ${o.side} #${o.orderId}`;
+      });
+    }
+
     return message;
   }
 
@@ -321,6 +536,9 @@ class TelegramService {
     
     const pnlEmoji = report.totalPnl >= 0 ? '💰' : '📉';
     const roiEmoji = report.roi >= 0 ? '📈' : '📉';
+    const partialLine = report.partialCloses > 0
+      ? `🎯 <b>Partial TP closes:</b> ${report.partialCloses} (${report.partialPnl >= 0 ? '+' : '-'}$${Math.abs(report.partialPnl).toFixed(2)})\n`
+      : '';
     
     return `📊 <b>DAILY REPORT</b>
 
@@ -332,7 +550,8 @@ class TelegramService {
 ✅ <b>Wins:</b> ${report.winTrades} (${winRate}%)
 ❌ <b>Losses:</b> ${report.loseTrades} (${(100 - parseFloat(winRate)).toFixed(1)}%)
 ${pnlEmoji} <b>Total P&L:</b> ${report.totalPnl >= 0 ? '+' : ''}$${report.totalPnl.toFixed(2)}
-${roiEmoji} <b>ROI:</b> ${report.roi >= 0 ? '+' : ''}${report.roi.toFixed(2)}%
+   Gross: ${report.grossPnl >= 0 ? '+' : ''}$${report.grossPnl.toFixed(2)} | Fees: -$${report.totalFees.toFixed(2)} | Funding: ${report.totalFunding >= 0 ? '+' : ''}$${report.totalFunding.toFixed(2)} | Net trades: ${report.tradesPnl >= 0 ? '+' : ''}$${report.tradesPnl.toFixed(2)}
+${partialLine}${roiEmoji} <b>ROI:</b> ${report.roi >= 0 ? '+' : ''}${report.roi.toFixed(2)}%
 
 <b>Balance:</b> $${report.startBalance.toFixed(2)} → $${report.currentBalance.toFixed(2)}`;
   }
@@ -0,0 +1,296 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { liveExchange } from './exchange.service.js';
+import logger from '../utils/logger.js';
+
+const KEEPALIVE_INTERVAL_MS = 30 * 60 * 1000; // listenKey живе 60 хвилин
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+
+/**
+ * Нормалізує подію ORDER_TRADE_UPDATE
+ */
+function parseOrderUpdate(event) {
+  const o = event.o || {};
+
+  return {
+    symbol: o.s,
+    clientOrderId: o.c,
+    side: o.S,
+    type: o.o,
+    originalType: o.ot,
+    positionSide: o.ps,
+    status: o.X,
+    executionType: o.x,
+    orderId: o.i,
+    price: parseFloat(o.p || '0'),
+    stopPrice: parseFloat(o.sp || '0'),
+    avgPrice: parseFloat(o.ap || '0'),
+    lastFilledPrice: parseFloat(o.L || '0'),
+    lastFilledQty: parseFloat(o.l || '0'),
+    cumulativeQty: parseFloat(o.z || '0'),
+    origQty: parseFloat(o.q || '0'),
+    commission: parseFloat(o.n || '0'),
+    commissionAsset: o.N,
+    realizedProfit: parseFloat(o.rp || '0'),
+    reduceOnly: o.R === true,
+    tradeTime: o.T || event.T,
+    eventTime: event.E
+  };
+}
+
+/**
+ * Нормалізує подію ACCOUNT_UPDATE
+ */
+function parseAccountUpdate(event) {
+  const a = event.a || {};
+
+  return {
+    reason: a.m,
+    balances: (a.B || []).map(b => ({
+      asset: b.a,
+      walletBalance: parseFloat(b.wb || '0'),
+      crossWalletBalance: parseFloat(b.cw || '0')
+    })),
+    positions: (a.P || []).map(p => ({
+      symbol: p.s,
+      positionAmt: parseFloat(p.pa || '0'),
+      entryPrice: parseFloat(p.ep || '0'),
+      unRealizedProfit: parseFloat(p.up || '0'),
+      positionSide: p.ps
+    })),
+    eventTime: event.E
+  };
+}
+
+/**
+ * Клієнт user-data stream AsterDex.
+ * Події: 'orderUpdate', 'accountUpdate', 'connected', 'disconnected'
+ */
+class UserStreamService extends EventEmitter {
+  constructor() {
+    super();
+    this.ws = null;
+    this.listenKey = null;
+    this.keepAliveInterval = null;
+    this.reconnectTimeout = null;
+    this.reconnectAttempts = 0;
+    this.isConnected = false;
+    this.isStopped = true;
+  }
+
+  /**
+   * Запускає stream (створює listenKey та підключається)
+   */
+  async start() {
+    if (!this.isStopped) {
+      logger.warn('[USER STREAM] Already running');
+      return;
+    }
+
+    this.isStopped = false;
+
+    try {
+      await this.connect();
+    } catch (error) {
+      // Поки stream недоступний, працює fallback polling
+      logger.error(`[USER STREAM] Failed to start: ${error.message}`);
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Отримує listenKey та відкриває WebSocket
+   */
+  async connect() {
+    this.listenKey = await this.obtainListenKey();
+
+    const url = `${liveExchange.wsURL}/ws/${this.listenKey}`;
+    logger.info('[USER STREAM] Connecting...');
+
+    this.ws = new WebSocket(url);
+
+    this.ws.on('open', () => {
+      this.isConnected = true;
+      this.reconnectAttempts = 0;
+      this.startKeepAlive();
+      logger.info('[USER STREAM] ✅ Connected');
+      this.emit('connected');
+    });
+
+    this.ws.on('message', (data) => this.handleMessage(data));
+
+    this.ws.on('ping', () => {
+      this.ws?.pong();
+    });
+
+    this.ws.on('close', (code) => {
+      const wasConnected = this.isConnected;
+      this.isConnected = false;
+      this.stopKeepAlive();
+
+      if (wasConnected) {
+        logger.warn(`[USER STREAM] Disconnected (code ${code})`);
+        this.emit('disconnected');
+      }
+
+      if (!this.isStopped) {
+        this.scheduleReconnect();
+      }
+    });
+
+    this.ws.on('error', (error) => {
+      logger.error(`[USER STREAM] WebSocket error: ${error.message}`);
+    });
+  }
+
+  /**
+   * listenKey для підключення: чинний ключ продовжуємо,
+   * інакше закриваємо його та створюємо новий
+   */
+  async obtainListenKey() {
+    if (this.listenKey) {
+      try {
+        await liveExchange.keepAliveListenKey();
+        return this.listenKey;
+      } catch (error) {
+        logger.warn(`[USER STREAM] listenKey is no longer valid, creating a new one: ${error.message}`);
+        await this.closeListenKey();
+      }
+    }
+
+    return liveExchange.createListenKey();
+  }
+
+  async closeListenKey() {
+    if (!this.listenKey) {
+      return;
+    }
+
+    try {
+      await liveExchange.closeListenKey();
+    } catch (error) {
+      // Ключ сам протухне через 60 хвилин
+    }
+    this.listenKey = null;
+  }
+
+  /**
+   * Продовжує listenKey, поки з'єднання активне
+   */
+  startKeepAlive() {
+    this.stopKeepAlive();
+
+    this.keepAliveInterval = setInterval(async () => {
+      try {
+        await liveExchange.keepAliveListenKey();
+      } catch (error) {
+        // Ключ міг протухнути - перепідключаємось з новим
+        await this.closeListenKey();
+        this.reconnect();
+      }
+    }, KEEPALIVE_INTERVAL_MS);
+  }
+
+  stopKeepAlive() {
+    if (this.keepAliveInterval) {
+      clearInterval(this.keepAliveInterval);
+      this.keepAliveInterval = null;
+    }
+  }
+
+  /**
+   * Обробляє повідомлення з stream
+   */
+  handleMessage(data) {
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (error) {
+      logger.error(`[USER STREAM] Invalid message: ${error.message}`);
+      return;
+    }
+
+    switch (event.e) {
+      case 'ORDER_TRADE_UPDATE': {
+        const update = parseOrderUpdate(event);
+        logger.debug(`[USER STREAM] Order update: ${update.symbol} ${update.type} #${update.orderId} ${update.status}`);
+        this.emit('orderUpdate', update);
+        break;
+      }
+      case 'ACCOUNT_UPDATE':
+        this.emit('accountUpdate', parseAccountUpdate(event));
+        break;
+      case 'listenKeyExpired':
+        logger.warn('[USER STREAM] listenKey expired, reconnecting...');
+        // Протухлий ключ не продовжується - при перепідключенні буде створено новий
+        this.listenKey = null;
+        this.reconnect();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Закриває поточне з'єднання, далі 'close' запускає перепідключення
+   */
+  reconnect() {
+    if (this.ws) {
+      this.ws.terminate();
+    } else if (!this.isStopped) {
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Планує перепідключення з експоненційною затримкою
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimeout) {
+      return;
+    }
+
+    const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), MAX_RECONNECT_DELAY_MS);
+    this.reconnectAttempts++;
+
+    logger.info(`[USER STREAM] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimeout = setTimeout(async () => {
+      this.reconnectTimeout = null;
+      this.ws = null;
+
+      try {
+        await this.connect();
+      } catch (error) {
+        logger.error(`[USER STREAM] Reconnect failed: ${error.message}`);
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Зупиняє stream
+   */
+  async stop() {
+    this.isStopped = true;
+    this.stopKeepAlive();
+
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+
+    if (this.ws) {
+      this.ws.terminate();
+      this.ws = null;
+    }
+
+    await this.closeListenKey();
+
+    logger.info('[USER STREAM] Stopped');
+  }
+}
+
+// Експортуємо singleton
+const userStreamService = new UserStreamService();
+export default userStreamService;
@@ -0,0 +1,87 @@
+import exchange from './exchange.service.js';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+// Пауза перед повторним запитом свічок після невдачі (trailing викликає getATR на кожен тік)
+const FAILURE_RETRY_MS = 60 * 1000;
+
+/**
+ * ATR за Wilder: перше значення - середнє True Range за period свічок,
+ * далі ATR = (ATR * (period - 1) + TR) / period
+ * @param {Array} klines - закриті свічки в хронологічному порядку
+ * @returns {number|null} ATR або null, якщо свічок недостатньо
+ */
+export function calculateATR(klines, period) {
+  if (klines.length < period + 1) {
+    return null;
+  }
+
+  const trueRanges = [];
+  for (let i = 1; i < klines.length; i++) {
+    const { high, low } = klines[i];
+    const prevClose = klines[i - 1].close;
+    trueRanges.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  }
+
+  let atr = trueRanges.slice(0, period).reduce((sum, tr) => sum + tr, 0) / period;
+  for (let i = period; i < trueRanges.length; i++) {
+    atr = (atr * (period - 1) + trueRanges[i]) / period;
+  }
+
+  return atr;
+}
+
+/**
+ * ATR символів з кешем до закриття наступної свічки
+ */
+class VolatilityService {
+  constructor() {
+    this.cache = new Map(); // `${symbol}:${interval}:${period}` -> { atr, validUntil }
+  }
+
+  /**
+   * ATR символу на таймфреймі або null (свічки недоступні / їх замало)
+   */
+  async getATR(symbol, interval = config.volatility.interval, period = config.volatility.period) {
+    const cacheKey = `${symbol}:${interval}:${period}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() < cached.validUntil) {
+      return cached.atr;
+    }
+
+    try {
+      // Запас свічок для згладжування; остання - поточна, ще не закрита
+      const klines = await exchange.getKlines(symbol, interval, period * 4 + 1);
+      const closed = klines.slice(0, -1);
+      const atr = calculateATR(closed, period);
+
+      if (atr === null) {
+        logger.warn(`[VOLATILITY] Not enough klines for ${symbol} ${interval}: ${closed.length}, need ${period + 1}`);
+        return this.cacheFailure(cacheKey, cached);
+      }
+
+      // Значення не зміниться, поки не закриється поточна свічка
+      const current = klines[klines.length - 1];
+      this.cache.set(cacheKey, { atr, validUntil: current.closeTime + 1 });
+
+      logger.info(`[VOLATILITY] ${symbol} ATR(${period}, ${interval}): ${atr}`);
+      return atr;
+    } catch (error) {
+      logger.warn(`[VOLATILITY] Cannot get ATR for ${symbol}: ${error.message}`);
+      return this.cacheFailure(cacheKey, cached);
+    }
+  }
+
+  /**
+   * Після невдачі до FAILURE_RETRY_MS повертає останнє відоме ATR (або null) без нових запитів
+   */
+  cacheFailure(cacheKey, previous) {
+    const atr = previous?.atr ?? null;
+    this.cache.set(cacheKey, { atr, validUntil: Date.now() + FAILURE_RETRY_MS });
+    return atr;
+  }
+}
+
+// Експортуємо singleton
+const volatilityService = new VolatilityService();
+export default volatilityService;
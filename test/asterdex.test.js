@@ -0,0 +1,50 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import AsterdexService from '../services/asterdex.service.js';
+
+/**
+ * Адаптер з керованим часом сервера
+ */
+function createService(startMs) {
+  const service = new AsterdexService();
+  service.now = startMs;
+  service.getServerTime = () => service.now;
+  return service;
+}
+
+describe('AsterdexService.getNonce', () => {
+  it('is the server time in ms * 1e6 as an exact integer string', () => {
+    const service = createService(1_700_000_000_123);
+
+    assert.equal(service.getNonce(), '1700000000123000000');
+  });
+
+  it('grows strictly within the same millisecond', () => {
+    const service = createService(1_700_000_000_000);
+    const nonces = Array.from({ length: 5 }, () => BigInt(service.getNonce()));
+
+    for (let i = 1; i < nonces.length; i++) {
+      assert.ok(nonces[i] > nonces[i - 1], `${nonces[i]} <= ${nonces[i - 1]}`);
+    }
+  });
+
+  it('does not go back after a small clock correction', () => {
+    const service = createService(1_700_000_000_000);
+    const before = BigInt(service.getNonce());
+
+    service.now -= 2000;
+    const after = BigInt(service.getNonce());
+
+    assert.ok(after > before);
+  });
+
+  it('restarts from server time after a correction larger than the 5s window', () => {
+    const service = createService(1_700_000_010_000);
+    service.getNonce();
+
+    service.now -= 10_000;
+
+    assert.equal(service.getNonce(), '1700000000000000000');
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseDecimal,
+  formatDecimal,
+  roundToStep,
+  floorToStep,
+  ceilToStep,
+  addDecimal,
+  multiplyDecimal,
+  compareDecimal
+} from '../utils/decimal.js';
+
+describe('parseDecimal / formatDecimal', () => {
+  it('round-trips plain and negative values', () => {
+    for (const value of ['0', '1', '0.001', '-12.5', '123456789.123456789']) {
+      assert.equal(formatDecimal(parseDecimal(value)), value);
+    }
+  });
+
+  it('expands exponent notation', () => {
+    assert.equal(formatDecimal(parseDecimal(1e-7)), '0.0000001');
+    assert.equal(formatDecimal(parseDecimal('1.5e3')), '1500');
+  });
+
+  it('rejects non-numeric input', () => {
+    assert.throws(() => parseDecimal('abc'), /Invalid decimal value/);
+    assert.throws(() => parseDecimal(''), /Invalid decimal value/);
+  });
+});
+
+describe('roundToStep', () => {
+  it('rounds to the step without float error', () => {
+    assert.equal(floorToStep(0.1 + 0.2, '0.1'), '0.3');
+    assert.equal(floorToStep('1.2345', '0.001'), '1.234');
+    assert.equal(ceilToStep('1.2341', '0.001'), '1.235');
+    assert.equal(roundToStep('1.2345', '0.001'), '1.235');
+    assert.equal(roundToStep('1.2344', '0.001'), '1.234');
+  });
+
+  it('keeps exact multiples unchanged in every mode', () => {
+    for (const rounding of ['DOWN', 'UP', 'HALF_UP']) {
+      assert.equal(roundToStep('0.4500', '0.0001', rounding), '0.4500');
+    }
+  });
+
+  it('supports steps that are not powers of ten', () => {
+    assert.equal(floorToStep('17', '5'), '15');
+    assert.equal(ceilToStep('16', '5'), '20');
+    assert.equal(roundToStep('0.37', '0.05'), '0.35');
+    assert.equal(roundToStep('0.375', '0.05'), '0.40');
+  });
+
+  it('rounds negative values towards -infinity when flooring', () => {
+    assert.equal(floorToStep('-1.25', '0.1'), '-1.3');
+    assert.equal(ceilToStep('-1.25', '0.1'), '-1.2');
+  });
+
+  it('rejects a zero step', () => {
+    assert.throws(() => roundToStep('1', '0'), /Invalid step/);
+  });
+});
+
+describe('decimal arithmetic', () => {
+  it('adds and multiplies exactly', () => {
+    assert.equal(addDecimal('0.1', '0.2'), '0.3');
+    assert.equal(addDecimal('100', '-0.001'), '99.999');
+    assert.equal(multiplyDecimal('223', '0.45'), '100.35');
+  });
+
+  it('compares values with different scales', () => {
+    assert.equal(compareDecimal('1.50', '1.5'), 0);
+    assert.equal(compareDecimal('0.0001', '0'), 1);
+    assert.equal(compareDecimal('-2', '1'), -1);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildClientOrderId, CLIENT_ORDER_PREFIX, retry, isRetryableError } from '../utils/helpers.js';
+
+describe('buildClientOrderId', () => {
+  it('is deterministic for the same parts', () => {
+    assert.equal(
+      buildClientOrderId('SL', 'ADAUSDT', 'LONG', 1001, '0.4488'),
+      buildClientOrderId('SL', 'ADAUSDT', 'LONG', 1001, '0.4488')
+    );
+  });
+
+  it('differs when any part differs', () => {
+    const ids = new Set([
+      buildClientOrderId('SL', 'ADAUSDT', 'LONG', 1001, '0.4488'),
+      buildClientOrderId('SL', 'ADAUSDT', 'LONG', 1001, '0.4489'),
+      buildClientOrderId('SL', 'ADAUSDT', 'LONG', 1001, '0.4488', 2),
+      buildClientOrderId('TP', 'ADAUSDT', 'LONG', 1001, '0.4488')
+    ]);
+    assert.equal(ids.size, 4);
+  });
+
+  it('carries the bot prefix and tag and fits the 36-char exchange limit', () => {
+    const id = buildClientOrderId('TP', 'BTCUSDT', 'SHORT', 123456789, 3);
+
+    assert.match(id, new RegExp(`^${CLIENT_ORDER_PREFIX}TP_[0-9a-f]{24}$`));
+    assert.ok(id.length <= 36);
+  });
+});
+
+describe('retry', () => {
+  it('retries until success', async () => {
+    let calls = 0;
+    const result = await retry(() => (++calls < 3 ? Promise.reject(new Error('fail')) : 'ok'), 3, { delayMs: 1 });
+
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+  });
+
+  it('stops at the first error that shouldRetry rejects', async () => {
+    let calls = 0;
+    const rejection = Object.assign(new Error('would immediately trigger'), { code: -2021, retryable: false });
+
+    await assert.rejects(
+      retry(() => { calls++; throw rejection; }, 3, { delayMs: 1, shouldRetry: isRetryableError }),
+      rejection
+    );
+    assert.equal(calls, 1);
+  });
+});
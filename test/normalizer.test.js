@@ -0,0 +1,129 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getProtectiveRounding,
+  normalizeQuantity,
+  normalizePrice,
+  normalizeOrderParams,
+  normalizeTakeProfitLadder
+} from '../services/normalizer.service.js';
+
+const symbolInfo = {
+  filters: {
+    LOT_SIZE: { stepSize: '1', minQty: '1', maxQty: '100000' },
+    MARKET_LOT_SIZE: { stepSize: '1', minQty: '1', maxQty: '50000' },
+    PRICE_FILTER: { tickSize: '0.0001' }
+  },
+  minNotional: '5'
+};
+
+describe('getProtectiveRounding', () => {
+  it('moves SL and TP towards the entry price', () => {
+    assert.equal(getProtectiveRounding('LONG', 'STOP_LOSS'), 'UP');
+    assert.equal(getProtectiveRounding('LONG', 'TAKE_PROFIT'), 'DOWN');
+    assert.equal(getProtectiveRounding('SHORT', 'STOP_LOSS'), 'DOWN');
+    assert.equal(getProtectiveRounding('SHORT', 'TAKE_PROFIT'), 'UP');
+  });
+});
+
+describe('normalizeQuantity / normalizePrice', () => {
+  it('floors quantity to the step and caps it at maxQty', () => {
+    assert.equal(normalizeQuantity(123.9, symbolInfo), '123');
+    assert.equal(normalizeQuantity(70000, symbolInfo, true), '50000');
+    assert.equal(normalizeQuantity(70000, symbolInfo, false), '70000');
+  });
+
+  it('rounds price to the tick size', () => {
+    assert.equal(normalizePrice(0.45678, symbolInfo), '0.4568');
+    assert.equal(normalizePrice(0.45678, symbolInfo, 'DOWN'), '0.4567');
+  });
+});
+
+describe('normalizeOrderParams', () => {
+  const params = { direction: 'LONG', entryPrice: 0.45, quantity: 190.7, stopLoss: 0.44873, takeProfit: 0.45234 };
+
+  it('returns exchange-ready strings rounded protectively', () => {
+    const order = normalizeOrderParams(params, symbolInfo);
+
+    assert.deepEqual(order, {
+      entryPrice: '0.4500',
+      quantity: '190',
+      stopLoss: '0.4488',
+      takeProfit: '0.4523',
+      notional: '85.5000'
+    });
+  });
+
+  it('rejects upsizing to minNotional beyond the risk tolerance', () => {
+    const info = { ...symbolInfo, minNotional: '100' };
+
+    assert.throws(() => normalizeOrderParams(params, info), /exceeds risk-sized/);
+
+    const order = normalizeOrderParams(params, info, { maxUpsizePercent: 20 });
+    assert.equal(order.quantity, '223');
+    assert.ok(Number(order.notional) >= 100);
+  });
+
+  it('rejects upsizing to minQty beyond the risk tolerance', () => {
+    const info = { ...symbolInfo, minNotional: '0', filters: { ...symbolInfo.filters, MARKET_LOT_SIZE: { stepSize: '1', minQty: '10', maxQty: '50000' } } };
+
+    assert.throws(() => normalizeOrderParams({ ...params, quantity: 8 }, info), /exceeds risk-sized/);
+    assert.equal(normalizeOrderParams({ ...params, quantity: 9.5 }, info, { maxUpsizePercent: 10 }).quantity, '10');
+  });
+
+  it('rejects TP/SL that collapse onto the entry after rounding', () => {
+    assert.throws(
+      () => normalizeOrderParams({ ...params, stopLoss: 0.44999, takeProfit: 0.46 }, symbolInfo),
+      /too close to entry/
+    );
+  });
+});
+
+describe('normalizeTakeProfitLadder', () => {
+  const position = { direction: 'LONG', entryPrice: '100.0000', quantity: '10' };
+
+  it('splits quantity by level and leaves the rest as a runner', () => {
+    const ladder = normalizeTakeProfitLadder(
+      [{ sizePercent: 50, profitPercent: 0.5 }, { sizePercent: 30, profitPercent: 1 }],
+      position,
+      symbolInfo
+    );
+
+    assert.deepEqual(ladder, [
+      { level: 1, sizePercent: 50, profitPercent: 0.5, price: '100.5000', quantity: '5' },
+      { level: 2, sizePercent: 30, profitPercent: 1, price: '101.0000', quantity: '3' }
+    ]);
+  });
+
+  it('gives the remainder to the last level when shares sum to 100%', () => {
+    const ladder = normalizeTakeProfitLadder(
+      [{ sizePercent: 33, profitPercent: 0.5 }, { sizePercent: 33, profitPercent: 1 }, { sizePercent: 34, profitPercent: 2 }],
+      position,
+      symbolInfo
+    );
+
+    assert.deepEqual(ladder.map(level => level.quantity), ['3', '3', '4']);
+  });
+
+  it('merges levels below minQty into the next level', () => {
+    const ladder = normalizeTakeProfitLadder(
+      [{ sizePercent: 5, profitPercent: 0.5 }, { sizePercent: 45, profitPercent: 1 }],
+      position,
+      symbolInfo
+    );
+
+    assert.equal(ladder.length, 1);
+    assert.deepEqual(ladder[0], { level: 1, sizePercent: 50, profitPercent: 1, price: '101.0000', quantity: '5' });
+  });
+
+  it('places SHORT levels below the entry', () => {
+    const ladder = normalizeTakeProfitLadder(
+      [{ sizePercent: 100, profitPercent: 0.33333 }],
+      { ...position, direction: 'SHORT' },
+      symbolInfo
+    );
+
+    assert.deepEqual(ladder.map(level => [level.price, level.quantity]), [['99.6667', '10']]);
+  });
+});
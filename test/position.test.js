@@ -0,0 +1,102 @@
+import './setup.js';
+import { describe, it, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import exchange from '../services/exchange.service.js';
+import telegramService from '../services/telegram.service.js';
+import positionService, { EXIT_REASON } from '../services/position.service.js';
+
+const OPENED_AT = 1_700_000_000_000;
+
+const trade = (orderId, side, price, qty, commission, time, extra = {}) => ({
+  orderId, side, price: String(price), qty: String(qty), commission: String(commission), commissionAsset: 'USDT', time, positionSide: 'BOTH', ...extra
+});
+
+const trackedPosition = {
+  symbol: 'ADAUSDT',
+  direction: 'LONG',
+  positionSide: 'BOTH',
+  orderId: 1,
+  tpOrderId: 2,
+  slOrderId: 3,
+  entryPrice: 0.5,
+  quantity: 100,
+  initialQuantity: 100,
+  openedAt: OPENED_AT,
+  timestamp: OPENED_AT
+};
+
+describe('PositionService.calculateClosedPnL', () => {
+  let trades;
+  let income;
+
+  beforeEach(() => {
+    trades = [];
+    income = [];
+    mock.method(exchange, 'getTradeHistory', async () => trades);
+    mock.method(exchange, 'getIncomeHistory', async () => income);
+    mock.method(exchange, 'getOrder', async (symbol, orderId) => ({ orderId, clientOrderId: 'web_123' }));
+    mock.method(exchange, 'getCurrentPrice', async () => 600);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  after(() => telegramService.bot.stopPolling());
+
+  it('nets gross P&L, all fees and funding for a TP exit', async () => {
+    trades = [
+      trade(1, 'BUY', 0.5, 60, 0.01, OPENED_AT),
+      trade(1, 'BUY', 0.51, 40, 0.01, OPENED_AT + 1),
+      trade(2, 'SELL', 0.55, 100, 0.02, OPENED_AT + 60_000)
+    ];
+    income = [{ income: '-0.005' }, { income: '0.001' }];
+
+    const result = await positionService.calculateClosedPnL('ADAUSDT', trackedPosition);
+
+    assert.equal(result.entryPrice, 0.504);
+    assert.equal(result.exitPrice, 0.55);
+    assert.equal(result.exitReason, EXIT_REASON.TAKE_PROFIT);
+    assert.ok(Math.abs(result.grossPnl - 4.6) < 1e-9);
+    assert.ok(Math.abs(result.fees - 0.04) < 1e-9);
+    assert.ok(Math.abs(result.funding - -0.004) < 1e-12);
+    assert.ok(Math.abs(result.pnl - (4.6 - 0.04 - 0.004)) < 1e-9);
+    assert.equal(result.closedQuantity, 100);
+  });
+
+  it('classifies by the last exit order and converts non-USDT commissions', async () => {
+    trades = [
+      trade(1, 'BUY', 0.5, 100, 0.02, OPENED_AT),
+      trade(2, 'SELL', 0.52, 50, 0.01, OPENED_AT + 1000),
+      trade(3, 'SELL', 0.48, 50, 0.00002, OPENED_AT + 2000, { commissionAsset: 'BNB' })
+    ];
+
+    const result = await positionService.calculateClosedPnL('ADAUSDT', trackedPosition);
+
+    assert.equal(result.exitReason, EXIT_REASON.STOP_LOSS);
+    assert.deepEqual(result.exitOrders.map(order => order.reason), [EXIT_REASON.TAKE_PROFIT, EXIT_REASON.STOP_LOSS]);
+    assert.ok(Math.abs(result.grossPnl) < 1e-9);
+    // 0.00002 BNB * 600 = 0.012 USDT
+    assert.ok(Math.abs(result.fees - 0.042) < 1e-9);
+    assert.equal(exchange.getCurrentPrice.mock.calls[0].arguments[0], 'BNBUSDT');
+  });
+
+  it('recognises a closing order that is not tracked by the bot', async () => {
+    trades = [
+      trade(1, 'BUY', 0.5, 100, 0, OPENED_AT),
+      trade(9, 'SELL', 0.49, 100, 0, OPENED_AT + 1000)
+    ];
+
+    const result = await positionService.calculateClosedPnL('ADAUSDT', trackedPosition);
+
+    assert.equal(result.exitReason, EXIT_REASON.MANUAL);
+    assert.equal(exchange.getOrder.mock.callCount(), 1);
+  });
+
+  it('keeps the tracked entry price and reports UNKNOWN without exit fills', async () => {
+    const result = await positionService.calculateClosedPnL('ADAUSDT', trackedPosition);
+
+    assert.equal(result.exitReason, EXIT_REASON.UNKNOWN);
+    assert.equal(result.entryPrice, 0.5);
+    assert.equal(result.exitPrice, 0.5);
+    assert.equal(result.pnl, 0);
+  });
+});
@@ -0,0 +1,99 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateLiquidationPrice,
+  getMaxSafeLeverage,
+  getLiquidationBuffer
+} from '../services/risk.service.js';
+
+const FEE = 0.035 / 100;
+
+const brackets = [
+  { notionalFloor: 0, notionalCap: 50000, initialLeverage: 50, maintMarginRatio: 0.01, cum: 0 },
+  { notionalFloor: 50000, notionalCap: 250000, initialLeverage: 25, maintMarginRatio: 0.02, cum: 500 }
+];
+
+const near = (actual, expected, epsilon = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < epsilon, `${actual} != ${expected}`);
+
+describe('estimateLiquidationPrice', () => {
+  it('ISOLATED LONG: margin is notional / leverage', () => {
+    const price = estimateLiquidationPrice({
+      direction: 'LONG', entryPrice: 100, quantity: 10, leverage: 20, marginType: 'ISOLATED', balance: 1000, leverageBrackets: brackets
+    });
+
+    // (50 - 0.35 - 1000) / (10 * 0.01 - 10)
+    near(price, (50 - 1000 * FEE - 1000) / (0.1 - 10));
+    assert.ok(price < 100 && price > 95);
+  });
+
+  it('ISOLATED SHORT: liquidation above entry', () => {
+    const price = estimateLiquidationPrice({
+      direction: 'SHORT', entryPrice: 100, quantity: 10, leverage: 20, marginType: 'ISOLATED', balance: 1000, leverageBrackets: brackets
+    });
+
+    near(price, (50 - 1000 * FEE + 1000) / (0.1 + 10));
+    assert.ok(price > 100 && price < 105);
+  });
+
+  it('CROSSED: whole balance backs the position, leverage does not matter', () => {
+    const params = { direction: 'LONG', entryPrice: 100, quantity: 10, marginType: 'CROSSED', balance: 500, leverageBrackets: brackets };
+
+    const at10x = estimateLiquidationPrice({ ...params, leverage: 10 });
+    const at50x = estimateLiquidationPrice({ ...params, leverage: 50 });
+
+    near(at10x, at50x);
+    near(at10x, (500 - 1000 * FEE - 1000) / (0.1 - 10));
+  });
+
+  it('uses the bracket of the position notional', () => {
+    const price = estimateLiquidationPrice({
+      direction: 'LONG', entryPrice: 100, quantity: 1000, leverage: 10, marginType: 'ISOLATED', balance: 0, leverageBrackets: brackets
+    });
+
+    // notional 100000 - другий bracket: mmr 0.02, cum 500
+    near(price, (10000 - 100000 * FEE + 500 - 100000) / (1000 * 0.02 - 1000), 1e-6);
+  });
+
+  it('falls back to the default maintenance ratio without brackets and never goes below 0', () => {
+    const withDefault = estimateLiquidationPrice({
+      direction: 'LONG', entryPrice: 100, quantity: 10, leverage: 20, marginType: 'ISOLATED', balance: 0
+    });
+    near(withDefault, (50 - 1000 * FEE - 1000) / (0.1 - 10));
+
+    const unleveraged = estimateLiquidationPrice({
+      direction: 'LONG', entryPrice: 100, quantity: 1, leverage: 1, marginType: 'CROSSED', balance: 10000
+    });
+    assert.equal(unleveraged, 0);
+  });
+});
+
+describe('getMaxSafeLeverage', () => {
+  const base = { entryPrice: 100, notional: 1000, leverageBrackets: brackets, bufferPercent: 0.5 };
+
+  for (const [direction, stopLoss] of [['LONG', 98], ['SHORT', 102]]) {
+    it(`${direction}: the returned leverage keeps the buffer, one step higher does not`, () => {
+      const leverage = getMaxSafeLeverage({ ...base, direction, stopLoss });
+      const quantity = base.notional / base.entryPrice;
+      const bufferAt = lev => getLiquidationBuffer(direction, base.entryPrice, stopLoss, estimateLiquidationPrice({
+        direction, entryPrice: base.entryPrice, quantity, leverage: lev, marginType: 'ISOLATED', balance: 0, leverageBrackets: brackets
+      }));
+
+      assert.ok(Number.isInteger(leverage) && leverage > 1);
+      assert.ok(bufferAt(leverage) >= base.bufferPercent);
+      assert.ok(bufferAt(leverage + 1) < base.bufferPercent);
+    });
+  }
+
+  it('allows only 1x when the stop is further than any leveraged liquidation', () => {
+    assert.equal(getMaxSafeLeverage({ ...base, direction: 'LONG', stopLoss: 1 }), 1);
+  });
+
+  it('tighter stops allow higher leverage', () => {
+    const wide = getMaxSafeLeverage({ ...base, direction: 'SHORT', stopLoss: 110 });
+    const tight = getMaxSafeLeverage({ ...base, direction: 'SHORT', stopLoss: 101 });
+
+    assert.ok(tight > wide);
+  });
+});
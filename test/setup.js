@@ -0,0 +1,15 @@
+import os from 'os';
+import path from 'path';
+
+// Мінімальне оточення для config/settings.js: тести не звертаються до біржі та Telegram
+process.env.ASTERDEX_USER_ADDRESS ??= `0x${'1'.repeat(40)}`;
+process.env.ASTERDEX_SIGNER_ADDRESS ??= `0x${'2'.repeat(40)}`;
+process.env.ASTERDEX_PRIVATE_KEY ??= `0x${'3'.repeat(64)}`;
+process.env.TELEGRAM_BOT_TOKEN ??= 'test-token';
+process.env.TELEGRAM_CHANNEL_ID ??= '-100';
+
+// Значення, від яких залежать очікувані результати тестів
+process.env.ACCOUNT_EXCHANGE = 'asterdex';
+process.env.DRY_RUN = 'false';
+process.env.TAKER_FEE_PERCENT = '0.035';
+process.env.STATE_FILE = path.join(os.tmpdir(), `trading-bot-test-${process.pid}.json`);
@@ -0,0 +1,32 @@
+import './setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateATR } from '../services/volatility.service.js';
+
+const candle = (high, low, close) => ({ high, low, close });
+
+describe('calculateATR', () => {
+  it('returns null until there are period + 1 candles', () => {
+    assert.equal(calculateATR([candle(2, 1, 1.5), candle(2, 1, 1.5)], 2), null);
+  });
+
+  it('seeds with the mean true range, then applies Wilder smoothing', () => {
+    const klines = [
+      candle(10, 8, 9),
+      candle(11, 9, 10),   // TR 2
+      candle(12, 10, 11),  // TR 2
+      candle(16, 11, 15),  // TR 5
+      candle(15, 14, 14.5) // TR 1
+    ];
+
+    // ATR(2): (2 + 2) / 2 = 2 -> (2 * 1 + 5) / 2 = 3.5 -> (3.5 * 1 + 1) / 2 = 2.25
+    assert.equal(calculateATR(klines, 2), 2.25);
+  });
+
+  it('uses the previous close for gaps', () => {
+    const klines = [candle(10, 9, 10), candle(14, 13, 13.5)];
+
+    // Геп вгору: |high - prevClose| = 4 більше за high - low = 1
+    assert.equal(calculateATR(klines, 1), 4);
+  });
+});
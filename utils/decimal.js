@@ -0,0 +1,148 @@
+/**
+ * Десяткова арифметика на BigInt для цін та кількостей.
+ * Числа зберігаються як { digits, scale }: value = digits / 10^scale
+ */
+
+/**
+ * Розбирає число або рядок у { digits, scale }
+ */
+export function parseDecimal(value) {
+  let str = typeof value === 'number' ? String(value) : String(value).trim();
+
+  if (!/^-?\d*\.?\d+(e[-+]?\d+)?$/i.test(str)) {
+    throw new Error(`Invalid decimal value: ${value}`);
+  }
+
+  // Експоненційний запис (1e-7) переводимо у звичайний
+  let exponent = 0;
+  const expIndex = str.toLowerCase().indexOf('e');
+  if (expIndex !== -1) {
+    exponent = parseInt(str.slice(expIndex + 1), 10);
+    str = str.slice(0, expIndex);
+  }
+
+  const negative = str.startsWith('-');
+  if (negative) {
+    str = str.slice(1);
+  }
+
+  const [intPart, fracPart = ''] = str.split('.');
+  let scale = fracPart.length - exponent;
+  let digits = BigInt((intPart || '0') + fracPart);
+
+  if (scale < 0) {
+    digits *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+
+  return { digits: negative ? -digits : digits, scale };
+}
+
+/**
+ * Форматує { digits, scale } у рядок без експоненти
+ */
+export function formatDecimal({ digits, scale }) {
+  const negative = digits < 0n;
+  let str = (negative ? -digits : digits).toString();
+
+  if (scale > 0) {
+    str = str.padStart(scale + 1, '0');
+    str = `${str.slice(0, -scale)}.${str.slice(-scale)}`;
+  }
+
+  return negative ? `-${str}` : str;
+}
+
+/**
+ * Приводить два числа до спільного scale
+ */
+function align(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return {
+    a: a.digits * 10n ** BigInt(scale - a.scale),
+    b: b.digits * 10n ** BigInt(scale - b.scale),
+    scale
+  };
+}
+
+/**
+ * Ділення з округленням вниз (до -∞)
+ */
+function floorDiv(a, b) {
+  const q = a / b;
+  return (a % b !== 0n && (a < 0n) !== (b < 0n)) ? q - 1n : q;
+}
+
+/**
+ * Кількість кроків step у value з вказаним округленням
+ */
+function countSteps(value, step, rounding) {
+  const parsedStep = parseDecimal(step);
+  if (parsedStep.digits <= 0n) {
+    throw new Error(`Invalid step: ${step}`);
+  }
+
+  const { a, b } = align(parseDecimal(value), parsedStep);
+  const floor = floorDiv(a, b);
+  const remainder = a - floor * b;
+
+  if (remainder === 0n || rounding === 'DOWN') {
+    return { steps: floor, step: parsedStep };
+  }
+
+  if (rounding === 'UP') {
+    return { steps: floor + 1n, step: parsedStep };
+  }
+
+  // HALF_UP
+  return { steps: remainder * 2n >= b ? floor + 1n : floor, step: parsedStep };
+}
+
+/**
+ * Округлює value до кратного step: 'DOWN' | 'UP' | 'HALF_UP'
+ * Результат має стільки знаків, скільки має step
+ */
+export function roundToStep(value, step, rounding = 'HALF_UP') {
+  const { steps, step: parsedStep } = countSteps(value, step, rounding);
+  return formatDecimal({ digits: steps * parsedStep.digits, scale: parsedStep.scale });
+}
+
+/**
+ * Округлює вниз до кратного step
+ */
+export function floorToStep(value, step) {
+  return roundToStep(value, step, 'DOWN');
+}
+
+/**
+ * Округлює вгору до кратного step
+ */
+export function ceilToStep(value, step) {
+  return roundToStep(value, step, 'UP');
+}
+
+/**
+ * Точна сума двох чисел
+ */
+export function addDecimal(a, b) {
+  const { a: x, b: y, scale } = align(parseDecimal(a), parseDecimal(b));
+  return formatDecimal({ digits: x + y, scale });
+}
+
+/**
+ * Точний добуток двох чисел
+ */
+export function multiplyDecimal(a, b) {
+  const x = parseDecimal(a);
+  const y = parseDecimal(b);
+  return formatDecimal({ digits: x.digits * y.digits, scale: x.scale + y.scale });
+}
+
+/**
+ * Порівнює два числа: -1, 0, 1
+ */
+export function compareDecimal(a, b) {
+  const { a: x, b: y } = align(parseDecimal(a), parseDecimal(b));
+  if (x === y) return 0;
+  return x > y ? 1 : -1;
+}
@@ -1,3 +1,5 @@
+import crypto from 'crypto';
+
 /**
  * Округлює число до певної кількості знаків після коми
  */
@@ -89,6 +91,36 @@ export function calculatePnL(entryPrice, exitPrice, quantity, direction) {
   return 0;
 }
 
+/**
+ * Підсумовує виконання позиції (формат userTrades): VWAP входу та виходу,
+ * валовий P&L закритої кількості та комісії в USDT.
+ * assetPrices - ціни в USDT для комісій в інших активах (напр. { BNB: 600 })
+ */
+export function summarizeFills(entryTrades, exitTrades, direction, assetPrices = {}) {
+  const sumQty = trades => trades.reduce((sum, t) => sum + parseFloat(t.qty), 0);
+  const sumNotional = trades => trades.reduce((sum, t) => sum + parseFloat(t.price) * parseFloat(t.qty), 0);
+
+  const entryQty = sumQty(entryTrades);
+  const exitQty = sumQty(exitTrades);
+  const entryPrice = entryQty > 0 ? sumNotional(entryTrades) / entryQty : 0;
+  const exitPrice = exitQty > 0 ? sumNotional(exitTrades) / exitQty : 0;
+
+  const fees = [...entryTrades, ...exitTrades].reduce((sum, t) => {
+    const asset = t.commissionAsset || 'USDT';
+    const rate = asset === 'USDT' ? 1 : (assetPrices[asset] || 0);
+    return sum + parseFloat(t.commission || '0') * rate;
+  }, 0);
+
+  return {
+    // VWAP округлюємо, щоб прибрати похибку float (0.45299999999999996)
+    entryPrice: roundToDecimal(entryPrice, 8),
+    exitPrice: roundToDecimal(exitPrice, 8),
+    quantity: exitQty,
+    grossPnl: calculatePnL(entryPrice, exitPrice, exitQty, direction),
+    fees
+  };
+}
+
 /**
  * Форматує тривалість часу
  */
@@ -136,3 +168,54 @@ export function getCurrentUTCHour() {
 export function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
+
+/**
+ * Повторює асинхронну операцію з лінійною затримкою між спробами.
+ * shouldRetry(error) = false - помилка повертається одразу, без повторів
+ */
+export async function retry(fn, attempts = 3, { delayMs = 1000, shouldRetry = () => true } = {}) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      lastError = error;
+      if (!shouldRetry(error)) {
+        break;
+      }
+      if (attempt < attempts) {
+        await sleep(delayMs * attempt);
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Тимчасова помилка API (мережа, 5xx, rate limit), яку варто повторити.
+ * Відхилення біржею (-2021, -2019...) повтор не виправить
+ */
+export function isRetryableError(error) {
+  return Boolean(error.retryable);
+}
+
+/**
+ * Префікс clientOrderId ордерів, створених ботом
+ */
+export const CLIENT_ORDER_PREFIX = 'adb';
+
+/**
+ * Детермінований clientOrderId: однакові параметри -> однаковий ID,
+ * тому повторна відправка того ж ордера не створює дубліката
+ */
+export function buildClientOrderId(tag, ...parts) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(parts.join('|'))
+    .digest('hex')
+    .slice(0, 24);
+
+  return `${CLIENT_ORDER_PREFIX}${tag}_${hash}`;
+}